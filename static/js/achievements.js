@@ -1,24 +1,38 @@
 /**
  * Achievement System
  * Extensible, event-driven achievement notifications.
+ * Unlocks persist across visits in a versioned localStorage record (see load()).
  * 
  * Usage:
- *   ACHIEVEMENTS.unlock('achievement_id');
+ *   ACHIEVEMENTS.track('coin_clicks');      // +1; unlocks any rule it satisfies
+ *   ACHIEVEMENTS.unlock('achievement_id');  // unlock directly
+ *   ACHIEVEMENTS.list();   // every achievement with its unlock time
+ *   ACHIEVEMENTS.reset();  // forget all progress
  * 
- * To add new achievements, extend ACHIEVEMENT_DEFS in this file.
+ * To add new achievements, extend ACHIEVEMENT_DEFS in this file. One with a
+ * `rule` unlocks itself once the rule holds — no extra wiring needed. New
+ * counters are fed from ACHIEVEMENT_TRIGGERS, which maps events other
+ * modules already fire onto track() calls.
  */
 
 // Individual achievement definitions
 // Extend this object to add new achievements.
-// Use `image` (path to PNG) for custom art, or `icon` (FA icon name) as fallback.
+// Use `image` (path to PNG) for custom art, `icon` (FA icon name) or `glyph`
+// (a character or emoji drawn as text) as fallback.
+// `hint` (optional) is all the trophy case shows of a locked achievement.
+// `rule` (optional) unlocks the achievement from tracked counters:
+//   { counter: 'name', gte: N }        counter has reached N
+//   { all: [rule, …] } / { any: [rule, …] }   compound conditions, nestable
 const ACHIEVEMENT_DEFS = {
   // Snarky meta achievement: clicking the coin 10 times
   coin_clicker: {
     id: 'coin_clicker',
     name: '10 Clicks Hero',
     description: 'Tried clicking the coin 10 times. We saw that coming.',
+    hint: 'That coin looks awfully clickable.',
     image: '/img/achievements/coin-clicker-10.png',
-    rarity: 'uncommon'
+    rarity: 'uncommon',
+    rule: { counter: 'coin_clicks', gte: 10 }
   },
 
   // Even snarkier: 50 clicks
@@ -27,7 +41,80 @@ const ACHIEVEMENT_DEFS = {
     name: '50 Clicks Legend',
     description: 'You clicked 50 times. Are you okay?',
     image: '/img/achievements/coin-clicker-50.png',
-    rarity: 'rare'
+    rarity: 'rare',
+    rule: { counter: 'coin_clicks', gte: 50 }
+  },
+
+  // Opened every experiment fullscreen (the count comes from Hugo, see baseof.html)
+  experiments_all: {
+    id: 'experiments_all',
+    name: 'Lab Rat',
+    description: 'Opened every experiment. The lab thanks you for your service.',
+    hint: 'Every experiment deserves a fullscreen look.',
+    glyph: '🧪',
+    rarity: 'epic',
+    rule: { counter: 'experiments_opened', gte: Number(document.body.dataset.experiments) || Infinity }
+  },
+
+  field_controls_found: {
+    id: 'field_controls_found',
+    name: 'Right-Click Rebel',
+    description: 'Found the secret field controls. Nobody right-clicks anymore.',
+    hint: 'The background has a context menu.',
+    glyph: '🎛️',
+    rarity: 'uncommon',
+    rule: { counter: 'field_panel_opened', gte: 1 }
+  },
+
+  density_maxed: {
+    id: 'density_maxed',
+    name: 'Particle Hoarder',
+    description: 'Maxed out the density dial. Your fans are spinning.',
+    glyph: '🌌',
+    rarity: 'common',
+    rule: { counter: 'density_maxed', gte: 1 }
+  },
+
+  resume_finished: {
+    id: 'resume_finished',
+    name: 'Read the Whole Thing',
+    description: 'Scrolled the entire resume. Hiring managers, take notes.',
+    hint: 'Some people read all the way to the end.',
+    glyph: '📜',
+    rarity: 'uncommon',
+    rule: { counter: 'resume_finished', gte: 1 }
+  },
+
+  fit_page_read: {
+    id: 'fit_page_read',
+    name: 'Due Diligence',
+    description: 'Read a fit assessment all the way to the end.',
+    glyph: '🔍',
+    rarity: 'uncommon',
+    rule: { counter: 'fit_pages_read', gte: 1 }
+  },
+
+  background_toggled: {
+    id: 'background_toggled',
+    name: 'Lights Off, Lights On',
+    description: 'Hid the background, then missed it.',
+    hint: 'A switch for the lights is never far away.',
+    glyph: '💡',
+    rarity: 'common',
+    rule: { all: [
+      { counter: 'background_hidden', gte: 1 },
+      { counter: 'background_shown', gte: 1 }
+    ] }
+  },
+
+  konami: {
+    id: 'konami',
+    name: 'Up Up Down Down',
+    description: '↑↑↓↓←→←→BA. Thirty extra lives, no refunds.',
+    hint: 'Old cheat codes never die.',
+    glyph: '🎮',
+    rarity: 'rare',
+    rule: { counter: 'konami', gte: 1 }
   }
 
   // Future achievements:
@@ -37,19 +124,108 @@ const ACHIEVEMENT_DEFS = {
   //   description: 'Snarky description here',
   //   image: '/img/achievements/example.png', // preferred: custom art
   //   icon: 'fa-icon-name',                   // fallback: Font Awesome
-  //   rarity: 'rare' // common | uncommon | rare | epic
+  //   hint: 'Shown while locked',             // optional
+  //   rarity: 'rare', // common | uncommon | rare | epic
+  //   rule: { counter: 'counter_name', gte: 5 } // optional, see above
   // }
 };
 
+const scrolledToEnd = () =>
+  window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+
+// Site-wide triggers: each turns an event some module already fires into an
+// ACHIEVEMENTS.track() call, so modules never call into achievements directly.
+//   on:       'document:<type>', 'window:<type>', or 'field:<type>' (FIELD bus)
+//   counter:  counter to add 1 to
+//   when:     (optional) predicate on the event (the detail, for FIELD events)
+//   key:      (optional) count each distinct key only once, e.g. per experiment
+//   sequence: (optional) fire when the latest keydowns spell out these keys
+//   once:     (optional) stop listening after the first firing on this page
+const ACHIEVEMENT_TRIGGERS = [
+  // interactive-embed.js, from an experiment tile (not a project page)
+  {
+    on: 'document:interactive:open',
+    counter: 'experiments_opened',
+    when: e => e.detail.origin?.closest('.exp-tile'),
+    key: e => e.detail.src
+  },
+  // field-controls.js, right-click on the background
+  { on: 'document:fieldcontrols:open', counter: 'field_panel_opened', once: true },
+  {
+    on: 'field:statechange',
+    counter: 'density_maxed',
+    once: true,
+    when: d => d.density >= Number(document.getElementById('dial-density')?.max)
+  },
+  // The home page is the resume; education is its last section
+  {
+    on: 'window:scroll',
+    counter: 'resume_finished',
+    once: true,
+    when: () => document.getElementById('education') && scrolledToEnd()
+  },
+  {
+    on: 'window:scroll',
+    counter: 'fit_pages_read',
+    once: true,
+    when: () => document.querySelector('.fit-footer') && scrolledToEnd(),
+    key: () => location.pathname
+  },
+  { on: 'field:visibilitychange', counter: 'background_hidden', when: d => !d.visible },
+  { on: 'field:visibilitychange', counter: 'background_shown', when: d => d.visible },
+  {
+    on: 'document:keydown',
+    counter: 'konami',
+    sequence: ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown',
+      'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a']
+  }
+];
+
 const ACHIEVEMENTS = {
-  ANIMATION_DURATION: 3000, // 3s to match CSS keyframe
   CONTAINER_ID: 'ach-area',
-  
-  // Track unlocked achievements per session (could extend to localStorage)
-  unlockedIds: new Set(),
+  MAX_VISIBLE: 3, // toasts on screen at once; the rest wait their turn
+  STORAGE_KEY: 'roojerry:achievements',
+  STORAGE_VERSION: 1,
+
+  // Unlocked achievement id → unlock time (ms since epoch)
+  unlocked: new Map(),
+
+  // Counter name → running total, fed by track()
+  counters: new Map(),
+
+  // Counter name → Set of keys already counted (track() with a `key`)
+  seen: new Map(),
+
+  // False when localStorage is blocked or holds a newer record than this
+  // script understands; progress then lives for the session only.
+  persistent: true,
+
+  // Toasts waiting for a free slot, and the cards in each slot (bottom up)
+  queue: [],
+  slots: [],
+  messages: new Map(), // card -> its live-region message
 
   /**
-   * Ensure the achievements container exists in the DOM.
+   * Upgrade steps for stored records, keyed by the version they upgrade
+   * from. Each takes a record at that version and returns the next one.
+   */
+  MIGRATIONS: {
+    // v0: the unversioned record from before counters — a coin_clicks total
+    // and the unlocked ids, with no unlock times (the upgrade stands in)
+    0: record => {
+      const ids = Array.isArray(record.unlocked) ? record.unlocked : Object.keys(record.unlocked || {});
+      const now = Date.now();
+      return {
+        unlocked: Object.fromEntries(ids.filter(id => typeof id === 'string').map(id => [id, now])),
+        counters: Number.isFinite(record.coin_clicks) ? { coin_clicks: record.coin_clicks } : {},
+        seen: {}
+      };
+    }
+  },
+
+  /**
+   * Ensure the achievements container exists in the DOM, along with the
+   * polite live region that announces each toast to screen readers.
    * Returns cached reference if already created.
    */
   getContainer() {
@@ -57,6 +233,13 @@ const ACHIEVEMENTS = {
     if (!container) {
       container = document.createElement('div');
       container.id = this.CONTAINER_ID;
+
+      const announcer = document.createElement('div');
+      announcer.className = 'ach-announcer';
+      announcer.setAttribute('role', 'status');
+      announcer.setAttribute('aria-live', 'polite');
+      container.appendChild(announcer);
+
       document.body.appendChild(container);
     }
     return container;
@@ -68,7 +251,7 @@ const ACHIEVEMENTS = {
    * @returns {boolean} - true if unlocked, false if already unlocked
    */
   unlock(achievementId) {
-    if (this.unlockedIds.has(achievementId)) {
+    if (this.unlocked.has(achievementId)) {
       return false; // Already unlocked
     }
 
@@ -78,22 +261,233 @@ const ACHIEVEMENTS = {
       return false;
     }
 
-    this.unlockedIds.add(achievementId);
+    this.unlocked.set(achievementId, Date.now());
+    this.save();
     this.display(achievement);
+    document.dispatchEvent(new CustomEvent('achievement:unlock', { detail: { id: achievementId } }));
     return true;
   },
 
+  /**
+   * Add to a counter and unlock every achievement whose rule now holds.
+   * @param {string} counter - Counter name, e.g. 'coin_clicks'
+   * @param {number} [delta=1] - Amount to add
+   * @param {{ key?: string }} [options] - with a key, each distinct key
+   *   counts once (e.g. one per experiment, however often it's opened)
+   * @returns {number} - the counter's new total
+   */
+  track(counter, delta = 1, { key } = {}) {
+    if (!Number.isFinite(delta)) {
+      console.warn(`Ignoring non-numeric delta for counter "${counter}"`);
+      return this.counters.get(counter) ?? 0;
+    }
+    if (key !== undefined) {
+      const keys = this.seen.get(counter) ?? new Set();
+      if (keys.has(key)) return this.counters.get(counter) ?? 0;
+      this.seen.set(counter, keys.add(key));
+    }
+    const total = (this.counters.get(counter) ?? 0) + delta;
+    this.counters.set(counter, total);
+    this.save();
+    this.evaluate();
+    return total;
+  },
+
+  /**
+   * Unlock every achievement whose rule is satisfied by the current counters.
+   */
+  evaluate() {
+    for (const achievement of Object.values(ACHIEVEMENT_DEFS)) {
+      if (!achievement.rule || this.unlocked.has(achievement.id)) continue;
+      if (this.matches(achievement.rule)) this.unlock(achievement.id);
+    }
+  },
+
+  /**
+   * Whether a rule ({ counter, gte }, { all }, or { any }) holds.
+   * @param {object} rule
+   * @returns {boolean}
+   */
+  matches(rule) {
+    if (Array.isArray(rule.all)) return rule.all.every(r => this.matches(r));
+    if (Array.isArray(rule.any)) return rule.any.some(r => this.matches(r));
+    if (typeof rule.counter === 'string' && typeof rule.gte === 'number') {
+      return (this.counters.get(rule.counter) ?? 0) >= rule.gte;
+    }
+    console.warn('Unrecognised achievement rule', rule);
+    return false;
+  },
+
+  /**
+   * Start listening for every entry in ACHIEVEMENT_TRIGGERS. Triggers on
+   * the FIELD bus are skipped on pages without the background field.
+   */
+  installTriggers() {
+    for (const trigger of ACHIEVEMENT_TRIGGERS) {
+      const split = trigger.on.indexOf(':');
+      const scope = trigger.on.slice(0, split);
+      const type = trigger.on.slice(split + 1);
+      const recent = []; // latest keys, for `sequence`
+      let stop;
+
+      const handler = e => {
+        if (trigger.sequence) {
+          recent.push(e.key?.length === 1 ? e.key.toLowerCase() : e.key);
+          if (recent.length > trigger.sequence.length) recent.shift();
+          if (recent.join() !== trigger.sequence.join()) return;
+          recent.length = 0;
+        }
+        if (trigger.when && !trigger.when(e)) return;
+        if (trigger.once) stop();
+        this.track(trigger.counter, 1, { key: trigger.key?.(e) });
+      };
+
+      if (scope === 'field') {
+        if (typeof window.FIELD?.on !== 'function') continue;
+        window.FIELD.on(type, handler);
+        stop = () => window.FIELD.off(type, handler);
+      } else {
+        const target = scope === 'window' ? window : document;
+        target.addEventListener(type, handler, { passive: true });
+        stop = () => target.removeEventListener(type, handler, { passive: true });
+      }
+    }
+  },
+
+  /**
+   * Every defined achievement, in definition order, with its unlock state.
+   * @returns {Array<object>} definition fields plus `unlocked` and
+   *   `unlockedAt` (ms since epoch, or null)
+   */
+  list() {
+    return Object.values(ACHIEVEMENT_DEFS).map(achievement => ({
+      ...achievement,
+      unlocked: this.unlocked.has(achievement.id),
+      unlockedAt: this.unlocked.get(achievement.id) ?? null
+    }));
+  },
+
+  /**
+   * Forget all progress (unlocks and counters), in memory and in storage,
+   * along with any toasts still showing or queued.
+   */
+  reset() {
+    this.clearProgress();
+    this.queue.length = 0;
+    this.slots.filter(Boolean).forEach(card => this.dismiss(card));
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+    } catch {
+      // Storage blocked — nothing was persisted
+    }
+  },
+
+  clearProgress() {
+    this.unlocked.clear();
+    this.counters.clear();
+    this.seen.clear();
+  },
+
+  /**
+   * Read the stored record into memory, migrating older versions and
+   * discarding anything unreadable. Never throws.
+   */
+  load() {
+    let raw;
+    try {
+      raw = localStorage.getItem(this.STORAGE_KEY);
+    } catch {
+      this.persistent = false; // private mode, disabled cookies, sandboxed frame
+      return;
+    }
+    if (raw === null) {
+      this.clearProgress(); // nothing stored, or reset from another tab
+      return;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(raw);
+    } catch {
+      record = null;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record) ||
+        (record.version !== undefined && !Number.isInteger(record.version))) {
+      console.warn('Discarding unreadable achievement progress');
+      this.clearProgress();
+      this.save();
+      return;
+    }
+    const storedVersion = record.version ?? 0; // the legacy record has none
+    if (storedVersion > this.STORAGE_VERSION) {
+      // Written by a newer version of this script — don't clobber it
+      this.persistent = false;
+      return;
+    }
+
+    let version = storedVersion;
+    while (version < this.STORAGE_VERSION) {
+      const migrate = this.MIGRATIONS[version];
+      if (!migrate) {
+        console.warn(`No migration from achievement record v${version}; starting over`);
+        this.clearProgress();
+        this.save();
+        return;
+      }
+      record = migrate(record);
+      version++;
+    }
+
+    this.clearProgress();
+    for (const [id, time] of Object.entries(record.unlocked || {})) {
+      if (Number.isFinite(time)) this.unlocked.set(id, time);
+    }
+    for (const [name, total] of Object.entries(record.counters || {})) {
+      if (Number.isFinite(total)) this.counters.set(name, total);
+    }
+    for (const [name, keys] of Object.entries(record.seen || {})) {
+      if (Array.isArray(keys)) this.seen.set(name, new Set(keys));
+    }
+    if (version !== storedVersion) this.save();
+  },
+
+  /**
+   * Write progress to localStorage. Quota and access errors are swallowed:
+   * progress still counts for the rest of the session.
+   */
+  save() {
+    if (!this.persistent) return;
+    const record = {
+      version: this.STORAGE_VERSION,
+      unlocked: Object.fromEntries(this.unlocked),
+      counters: Object.fromEntries(this.counters),
+      seen: Object.fromEntries([...this.seen].map(([name, keys]) => [name, [...keys]]))
+    };
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(record));
+    } catch (err) {
+      console.warn(`Achievement progress not saved: ${err.message}`);
+    }
+  },
+
   /**
    * Create a single achievement card element.
    */
   createCard(achievement) {
-    const { name, description, icon, image, rarity } = achievement;
+    const { name, description, icon, glyph, image, rarity } = achievement;
 
     // Main card container
     const card = document.createElement('div');
     card.className = `ani_div grad ach-rarity-${rarity || 'common'}`;
     card.setAttribute('data-achievement-id', achievement.id);
 
+    // The card body is a button, so keyboard users can open the trophy case
+    // too (trophy-case.js handles the click on the card)
+    const openEl = document.createElement('button');
+    openEl.type = 'button';
+    openEl.className = 'ach-open';
+    openEl.title = 'Open the trophy case';
+
     // Icon container (image preferred; FA icon as fallback)
     const iconContainer = document.createElement('div');
     iconContainer.className = 'ani_icon';
@@ -101,13 +495,19 @@ const ACHIEVEMENTS = {
     if (image) {
       const imgEl = document.createElement('img');
       imgEl.src = image;
-      imgEl.alt = name;
+      imgEl.alt = ''; // the name is right beside it
       imgEl.className = 'ach-icon-img';
       iconContainer.appendChild(imgEl);
     } else if (icon) {
       const iconEl = document.createElement('i');
       iconEl.className = `fa fa-${icon} fa-fw`;
       iconContainer.appendChild(iconEl);
+    } else if (glyph) {
+      const glyphEl = document.createElement('span');
+      glyphEl.className = 'ach-glyph';
+      glyphEl.setAttribute('aria-hidden', 'true');
+      glyphEl.textContent = glyph;
+      iconContainer.appendChild(glyphEl);
     }
 
     // Text container
@@ -126,30 +526,96 @@ const ACHIEVEMENTS = {
     textContainer.appendChild(nameEl);
     textContainer.appendChild(descEl);
 
+    // Dismiss without opening the trophy case (its click handler is on document)
+    const dismissEl = document.createElement('button');
+    dismissEl.type = 'button';
+    dismissEl.className = 'ach-dismiss';
+    dismissEl.setAttribute('aria-label', `Dismiss ${name}`);
+    dismissEl.textContent = '×';
+    dismissEl.addEventListener('click', e => {
+      e.stopPropagation();
+      this.dismiss(card);
+    });
+
     // Assemble
-    card.appendChild(iconContainer);
-    card.appendChild(textContainer);
+    openEl.appendChild(iconContainer);
+    openEl.appendChild(textContainer);
+    card.appendChild(openEl);
+    card.appendChild(dismissEl);
 
     return card;
   },
 
   /**
-   * Display an achievement toast.
+   * Queue an achievement toast; it shows as soon as a slot is free.
    * @param {object} achievement - Achievement definition object
    */
   display(achievement) {
+    this.queue.push(achievement);
+    this.showNext();
+  },
+
+  /**
+   * Move queued toasts into free slots, oldest first.
+   */
+  showNext() {
+    let slot = this.slots.findIndex(card => !card);
+    if (slot === -1) slot = this.slots.length;
+    if (slot >= this.MAX_VISIBLE || !this.queue.length) return;
+
+    const achievement = this.queue.shift();
     const container = this.getContainer();
     const card = this.createCard(achievement);
+    card.style.setProperty('--ach-slot', slot);
+    this.slots[slot] = card;
 
-    // When reduced motion is preferred, the CSS media query removes the slide animation.
+    // When reduced motion is preferred, the CSS media query swaps the slide for a fade.
     // Add a class hook for any future CSS-only targeting.
     if (window.FIELD && window.FIELD.prefersReducedMotion()) {
       card.classList.add('ach-no-animation');
     }
 
+    // The toast lives exactly as long as its CSS animation, which pauses
+    // while the card is hovered or focused (see achievements.css)
+    card.addEventListener('animationend', e => {
+      if (e.target === card) this.dismiss(card);
+    });
+
+    // One message per toast: replacing the text would let a burst of
+    // unlocks talk over each other and only the last would be heard.
+    // The message leaves with its toast, which live regions don't announce.
+    const message = document.createElement('p');
+    message.textContent = `Achievement unlocked: ${achievement.name}. ${achievement.description}`;
+    this.messages.set(card, message);
+
     container.appendChild(card);
+    container.querySelector('.ach-announcer').appendChild(message);
 
-    // Schedule cleanup after animation completes
-    setTimeout(() => card.remove(), this.ANIMATION_DURATION);
+    this.showNext();
+  },
+
+  /**
+   * Remove a toast and let the next queued one take its slot.
+   * @param {HTMLElement} card
+   */
+  dismiss(card) {
+    const slot = this.slots.indexOf(card);
+    if (slot === -1) return;
+    this.slots[slot] = null;
+    card.remove();
+    this.messages.get(card)?.remove();
+    this.messages.delete(card);
+    this.showNext();
   }
 };
+
+ACHIEVEMENTS.load();
+ACHIEVEMENTS.installTriggers();
+
+// The live region must be in the DOM before the first announcement
+ACHIEVEMENTS.getContainer();
+
+// Unlocks in another tab show up here too (without a second toast)
+window.addEventListener('storage', e => {
+  if (e.key === ACHIEVEMENTS.STORAGE_KEY || e.key === null) ACHIEVEMENTS.load();
+});
@@ -0,0 +1,748 @@
+/* =============================================================
+   Background field physics — points, spatial grid, forces and
+   formation for bg-field-sim.js. Pure state and arithmetic: no
+   DOM, canvas, timers or Math.random, so the same seed and inputs
+   step to the same field in the worker, on the main thread and
+   headlessly under Node (tests/simulation).
+   ============================================================= */
+
+// mulberry32 — tiny, fast, good enough for layout. Same seed, same points.
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Push a body ({ x, y, vx, vy }) away from one pointer source: a direct
+ * displacement plus the velocity it leaves behind, falling off with
+ * distance and growing with the source's speed. Shared by the particles
+ * and the heading letters (letter-disturbance.js), so one DISTURBANCE_CONFIG
+ * drives both.
+ * @param {{ x: number, y: number, vx: number, vy: number }} body - mutated in place
+ * @param {{ x: number, y: number, vx: number, vy: number, intensity: number }} source
+ * @param {object} config - DISTURBANCE_CONFIG values
+ * @param {() => number} random - picks the direction when the source is dead on the body
+ * @param {(body: object) => number} [resistance] - scales the force, only asked within RADIUS
+ */
+export function applyDisturbance(body, source, config, random, resistance) {
+  // Apply disturbance from a single pointer source, using its own velocity
+  const { vx, vy, intensity } = source;
+  const dx = body.x - source.x;
+  const dy = body.y - source.y;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+
+  // Only apply force if within radius
+  if (dist >= config.RADIUS) return;
+
+  if (dist < 0.1) {
+    // Push away in random direction if exactly at source
+    const angle = random() * Math.PI * 2;
+    body.x += Math.cos(angle) * 10 * intensity;
+    body.y += Math.sin(angle) * 10 * intensity;
+    return;
+  }
+
+  const nx = dx / dist;
+  const ny = dy / dist;
+
+  // Linear falloff by distance
+  const normalizedDist = dist / config.RADIUS;
+  const distanceFalloff = Math.max(0, 1 - normalizedDist);
+
+  // Speed-based falloff: faster pointer = stronger disturbance
+  const sourceSpeed = Math.sqrt(vx * vx + vy * vy);
+  const speedFactor = Math.min(config.SPEED_MAX, config.SPEED_MIN + sourceSpeed * config.SPEED_MULT);
+
+  // Connection-based reduction (particles); letters have none
+  const connectionResistance = resistance ? resistance(body) : 1;
+
+  // Calculate force
+  const baseForce = config.STRENGTH * config.BASE_FORCE_MULT;
+  const totalFalloff = distanceFalloff * speedFactor * connectionResistance * intensity;
+
+  // DIRECT DISPLACEMENT
+  const pushDistance = baseForce * totalFalloff * 0.6;
+  body.x += nx * pushDistance;
+  body.y += ny * pushDistance;
+
+  // Momentum
+  body.vx = nx * baseForce * totalFalloff * 1.2;
+  body.vy = ny * baseForce * totalFalloff * 1.2;
+}
+
+/**
+ * Create the particle simulation. The host (bg-field-sim.js) feeds it
+ * input and calls step() once per frame, then draws `points`.
+ * @param {{ emit?: (msg: object) => void }} [options] - receives "released" and "forceError"
+ */
+export function createFieldPhysics({ emit = () => {} } = {}) {
+  let w = 0, h = 0;
+  let points = [];
+  let random = createRandom(0); // reseeded by createPoints
+
+  let scrollX = 0;
+  let scrollY = 0;
+  let scrollVelocity = 0;
+  let scrollForce = 0;
+
+  let mx = 0.5, my = 0.5;
+  let t = 0;
+
+  // Active pointer sources (mirrored from bg-field.js pointer handlers):
+  // one { x, y, vx, vy, intensity } per mouse, pen or touch point
+  let pointerSources = [];
+
+  // Expanded bounds for [data-particle-disturbance] elements — document
+  // space, or viewport space when `fixed` — with an optional corner
+  // `radius`. Measured on the main thread and posted whenever they change.
+  let cachedElementBounds = [];
+
+  // [data-particle-attract] elements, same coordinates as the bounds plus
+  // { reach, strength, orbit, active }; see applyAttractorForce()
+  let attractors = [];
+
+  /* =========================
+     CONFIGURATION
+     Render constants live in bg-field-sim.js
+  ========================= */
+
+  const CONFIG = {
+    LINK_DIST: 140,
+    SPEED: 0.25
+  };
+
+  // Live copies of window.FIELD values and window.DISTURBANCE_CONFIG;
+  // the host fills them from "init" and keeps them in sync.
+  const field = { energy: 0.35, spectrum: 0.3, clusters: 0.4, density: 160 };
+  const DISTURBANCE = {};
+
+  /* =========================
+     Helpers
+  ========================= */
+
+  const clamp = (v, a, b) => Math.max(a, Math.min(v, b));
+  const rand = (min, max) => random() * (max - min) + min;
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const easeInOut = (p) => (p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2);
+
+  /* =========================
+     Detail
+     Set by the host's quality governor: the share of field.density
+     actually simulated and the scale on CONFIG.LINK_DIST.
+  ========================= */
+
+  let pointScale = 1;
+  let linkDist = CONFIG.LINK_DIST;
+
+  function setDetail({ points: pointsScale, links }) {
+    pointScale = pointsScale;
+    linkDist = CONFIG.LINK_DIST * links;
+    fitPointCount();
+    buildGrid(); // cell size follows linkDist even when the count is unchanged
+  }
+
+  /* =========================
+     Points
+  ========================= */
+
+  function resize(width, height) {
+    w = width;
+    h = height;
+  }
+
+  // Points actually simulated: field.density scaled by the quality tier
+  function pointTarget() {
+    return Math.max(0, Math.round(field.density * pointScale));
+  }
+
+  function makePoint() {
+    return {
+      x: random() * w,
+      y: random() * h,
+      z: random(),
+      vx: rand(-1, 1) * 0.3,
+      vy: rand(-1, 1) * 0.3,
+      cluster: Math.floor(random() * 6),
+      target: null, // formation target, see Formation below
+      sx: 0,        // formation spring velocity
+      sy: 0
+    };
+  }
+
+  function createPoints(seed) {
+    if (seed !== undefined) random = createRandom(seed);
+    if (formed.length) release(); // the targets belonged to the old points
+    const count = pointTarget();
+    points = new Array(count);
+    for (let i = 0; i < count; i++) {
+      points[i] = makePoint();
+    }
+    buildGrid(); // keep grid indices valid for the new point array
+  }
+
+  // Grow or shrink to pointTarget() while keeping existing points where they
+  // are, so a density tween (FIELD.applyState) doesn't reshuffle the field.
+  function fitPointCount() {
+    const count = pointTarget();
+    if (count === points.length) return;
+    if (count < points.length) points.length = count;
+    else while (points.length < count) points.push(makePoint());
+    buildGrid();
+  }
+
+  /* =========================
+     Spatial hash grid
+     Uniform cells of linkDist, stored as a counting sort:
+     cellItems holds point indices grouped by cell, cellStart[c]..cellStart[c+1]
+     is the slice for cell c. Rebuilt once per frame at the end of
+     updatePhysics() (and whenever points are regenerated), so neighbour
+     queries cost O(points nearby) instead of O(n).
+  ========================= */
+
+  let gridSize = linkDist;
+  let gridCols = 1;
+  let gridRows = 1;
+  let cellStart = new Int32Array(2);
+  let cellItems = new Int32Array(0);
+  let pointCell = new Int32Array(0);
+
+  function buildGrid() {
+    gridSize = linkDist;
+    gridCols = Math.max(1, Math.ceil(w / gridSize));
+    gridRows = Math.max(1, Math.ceil(h / gridSize));
+    const cellCount = gridCols * gridRows;
+    const n = points.length;
+
+    if (cellStart.length !== cellCount + 1) cellStart = new Int32Array(cellCount + 1);
+    else cellStart.fill(0);
+    if (cellItems.length !== n) {
+      cellItems = new Int32Array(n);
+      pointCell = new Int32Array(n);
+    }
+
+    // Count points per cell (shifted by one so the prefix sum yields start offsets)
+    for (let i = 0; i < n; i++) {
+      const p = points[i];
+      const cx = clamp(Math.floor(p.x / gridSize), 0, gridCols - 1);
+      const cy = clamp(Math.floor(p.y / gridSize), 0, gridRows - 1);
+      const cell = cy * gridCols + cx;
+      pointCell[i] = cell;
+      cellStart[cell + 1]++;
+    }
+    for (let c = 0; c < cellCount; c++) cellStart[c + 1] += cellStart[c];
+
+    // Scatter indices into their cell slices
+    const fill = cellStart.slice(0, cellCount);
+    for (let i = 0; i < n; i++) {
+      cellItems[fill[pointCell[i]]++] = i;
+    }
+  }
+
+  // Visit the index of every point in the cells overlapping a square of
+  // `radius` around (x, y). Callers still do the exact distance check.
+  function forEachNeighbor(x, y, radius, visit) {
+    const reach = Math.ceil(radius / gridSize);
+    const cx = clamp(Math.floor(x / gridSize), 0, gridCols - 1);
+    const cy = clamp(Math.floor(y / gridSize), 0, gridRows - 1);
+    const x0 = Math.max(0, cx - reach), x1 = Math.min(gridCols - 1, cx + reach);
+    const y0 = Math.max(0, cy - reach), y1 = Math.min(gridRows - 1, cy + reach);
+
+    for (let gy = y0; gy <= y1; gy++) {
+      for (let gx = x0; gx <= x1; gx++) {
+        const cell = gy * gridCols + gx;
+        for (let k = cellStart[cell], end = cellStart[cell + 1]; k < end; k++) {
+          visit(cellItems[k]);
+        }
+      }
+    }
+  }
+
+  /* =========================
+     Disturbance Field Physics
+  ========================= */
+
+  function countConnections(point) {
+    // Count how many nearby particles this one is connected to
+    let connectionCount = 0;
+
+    forEachNeighbor(point.x, point.y, linkDist, (j) => {
+      const other = points[j];
+      if (other === point) return;
+
+      const dx = point.x - other.x;
+      const dy = point.y - other.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < linkDist) {
+        connectionCount++;
+      }
+    });
+    return connectionCount;
+  }
+
+  function connectionResistance(point) {
+    // Crowded particles are held by their links and move less
+    const connectionCount = countConnections(point);
+    return Math.max(DISTURBANCE.CONNECTION_MIN, 1 - connectionCount * DISTURBANCE.CONNECTION_RESISTANCE);
+  }
+
+  function applyDisturbanceFromSource(point, source) {
+    applyDisturbance(point, source, DISTURBANCE, random, connectionResistance);
+  }
+
+  // Signed distance from (x, y) to a bounds box whose corners are rounded by
+  // `radius` (0 = rectangle; half the short side = circle or pill), and the
+  // outward normal at the nearest point on its outline. Negative inside.
+  const contact = { dist: 0, nx: 0, ny: 0 };
+
+  function measureContact(bounds, x, y) {
+    const { left, right, top, bottom, radius = 0 } = bounds;
+    const ox = x - (left + right) / 2;
+    const oy = y - (top + bottom) / 2;
+    const sx = ox < 0 ? -1 : 1;
+    const sy = oy < 0 ? -1 : 1;
+    // Offsets past the straight edges (positive = beyond them)
+    const qx = Math.abs(ox) - ((right - left) / 2 - radius);
+    const qy = Math.abs(oy) - ((bottom - top) / 2 - radius);
+
+    if (qx > 0 && qy > 0) {
+      // Out by a corner arc
+      const d = Math.sqrt(qx * qx + qy * qy);
+      contact.dist = d - radius;
+      contact.nx = (sx * qx) / d;
+      contact.ny = (sy * qy) / d;
+    } else if (qx > qy) {
+      // Nearest to a left/right edge
+      contact.dist = qx - radius;
+      contact.nx = sx;
+      contact.ny = 0;
+    } else {
+      // Nearest to a top/bottom edge
+      contact.dist = qy - radius;
+      contact.nx = 0;
+      contact.ny = sy;
+    }
+    return contact;
+  }
+
+  // Generic element disturbance - applies to any element with bounding box.
+  // Uses cachedElementBounds — no DOM queries or getBoundingClientRect per frame.
+  function applyElementDisturbance(point) {
+    // Formed particles are meant to sit on the name, which avoids them
+    if (cachedElementBounds.length === 0 || point.target) return;
+
+    for (const bounds of cachedElementBounds) {
+      // Document-space bounds follow the page; fixed ones stay in the viewport
+      const x = bounds.fixed ? point.x : point.x + scrollX;
+      const y = bounds.fixed ? point.y : point.y + scrollY;
+      const { dist, nx, ny } = measureContact(bounds, x, y);
+      const { pushForce } = bounds;
+
+      if (dist < 0) {
+        // Inside the expanded shape: push out through the nearest edge
+        const pushX = nx * pushForce;
+        const pushY = ny * pushForce;
+
+        // Apply push with bounce effect - particles bounce off the element
+        point.x += pushX;
+        point.y += pushY;
+        // Bounce: preserve existing velocity direction but add repulsion
+        // This creates a bouncy, scattered effect instead of clustering
+        const bounceStrength = 0.8;
+        point.vx = point.vx * 0.92 + pushX * bounceStrength;
+        point.vy = point.vy * 0.92 + pushY * bounceStrength;
+      } else if (dist < 60 && dist > 0) {
+        // Particle is outside but reasonably close (within influence radius) -
+        // check if moving toward element and apply preventative force
+        const velDotProduct = -(point.vx * nx + point.vy * ny);
+
+        if (velDotProduct > 0) {
+          // Falloff: stronger when closer
+          const distanceFalloff = Math.max(0, 1 - (dist / 60));
+          const repelForce = pushForce * distanceFalloff * 0.35;
+
+          // Apply repulsion to push particle away
+          point.vx += nx * repelForce;
+          point.vy += ny * repelForce;
+        }
+      }
+    }
+  }
+
+  /* =========================
+     Attractors
+     Particles within `reach` of an element's outline are carried to a band
+     GAP px outside it; orbiting ones also travel along the outline. Pure
+     displacement, like the pointer push — velocities are left alone, so
+     the field drifts on as before once an attractor switches off.
+  ========================= */
+
+  const ATTRACT = {
+    GAP: 16,      // px outside the outline where pulled particles gather
+    SETTLE: 0.08  // share of the distance to the band closed per frame when orbiting
+  };
+
+  function applyAttractorForce(point) {
+    if (attractors.length === 0 || point.target) return;
+
+    for (const attractor of attractors) {
+      if (!attractor.active) continue;
+      const x = attractor.fixed ? point.x : point.x + scrollX;
+      const y = attractor.fixed ? point.y : point.y + scrollY;
+      const { dist, nx, ny } = measureContact(attractor, x, y);
+      if (dist <= 0 || dist >= attractor.reach) continue;
+
+      // Strongest near the element, nothing at the edge of its reach
+      const pull = attractor.strength * (1 - dist / attractor.reach);
+      const offset = dist - ATTRACT.GAP;
+
+      if (attractor.orbit) {
+        // Tangent (-ny, nx) runs clockwise on screen
+        const settle = offset * ATTRACT.SETTLE;
+        point.x += -ny * pull - nx * settle;
+        point.y +=  nx * pull - ny * settle;
+      } else if (offset > 0) {
+        const step = Math.min(pull, offset); // stop at the band, don't overshoot
+        point.x -= nx * step;
+        point.y -= ny * step;
+      }
+    }
+  }
+
+  /* =========================
+     Formation
+     form() takes target points in document space (FIELD.nameMask,
+     FIELD.formText / formPath samples) and gives each the nearest free
+     particle. Particles set off in a left-to-right stagger, fly in on an
+     eased curve, then hold on a damped spring — still reacting to
+     pointers — until the hold runs out or "dissolve" / "release" comes.
+     Counted in frames, so recording's stepped frames form exactly like
+     live ones.
+  ========================= */
+
+  const FORMATION = {
+    STAGGER: 30,     // frames between the first and last particle setting off
+    ARRIVAL: 60,     // frames each particle takes to fly in
+    DISSOLVE: 60,    // default frames for the hold spring to let go
+    STIFFNESS: 0.02, // hold spring pull per px of distance
+    DAMPING: 0.82    // hold spring velocity kept per frame
+  };
+
+  let formed = [];        // points currently holding a target
+  let formFrame = 0;      // frames since form()
+  let holdUntil = 0;      // formFrame at which the shape starts dissolving
+  let dissolveFrames = 0; // length of the running dissolve, 0 when holding
+  let dissolveLeft = 0;
+
+  // instant: place particles on their targets straight away (reduced motion)
+  function form(targets, holdMs, instant) {
+    clearFormation(); // replaced, not released — no "released" for the old one
+    const count = Math.min(targets.length, points.length);
+    const free = points.slice();
+    let minX = Infinity, maxX = -Infinity;
+
+    for (let k = 0; k < count; k++) {
+      // Spread the particles over the whole shape when it has more samples
+      const target = targets[Math.floor((k * targets.length) / count)];
+      const tx = target.x - scrollX;
+      const ty = target.y - scrollY;
+
+      let best = 0;
+      let bestDist = Infinity;
+      for (let j = 0; j < free.length; j++) {
+        const dx = free[j].x - tx;
+        const dy = free[j].y - ty;
+        const dist = dx * dx + dy * dy;
+        if (dist < bestDist) {
+          bestDist = dist;
+          best = j;
+        }
+      }
+
+      const p = free[best];
+      free[best] = free[free.length - 1];
+      free.pop();
+      // fromX/fromY are taken when the particle sets off
+      p.target = { x: target.x, y: target.y, fromX: null, fromY: null, delay: 0 };
+      p.sx = 0;
+      p.sy = 0;
+      formed.push(p);
+      minX = Math.min(minX, target.x);
+      maxX = Math.max(maxX, target.x);
+    }
+    if (!formed.length) {
+      emit({ type: "released" }); // nothing to form with
+      return;
+    }
+
+    const span = maxX - minX || 1;
+    for (const p of formed) {
+      p.target.delay = Math.round(((p.target.x - minX) / span) * FORMATION.STAGGER);
+    }
+
+    const arrived = FORMATION.STAGGER + FORMATION.ARRIVAL;
+    holdUntil = arrived + Math.round(holdMs / (1000 / 60));
+    if (instant) {
+      formFrame = arrived;
+      for (const p of formed) {
+        p.x = p.target.x - scrollX;
+        p.y = p.target.y - scrollY;
+      }
+    }
+  }
+
+  function dissolve(frames = FORMATION.DISSOLVE) {
+    if (!formed.length || dissolveFrames) return;
+    dissolveFrames = dissolveLeft = Math.max(1, frames);
+  }
+
+  function clearFormation() {
+    for (const p of formed) {
+      p.target = null;
+      p.sx = 0;
+      p.sy = 0;
+    }
+    formed = [];
+    formFrame = 0;
+    dissolveFrames = dissolveLeft = 0;
+  }
+
+  function release() {
+    if (!formed.length) return;
+    clearFormation();
+    emit({ type: "released" });
+  }
+
+  // Per frame, from step(): run the hold clock and the dissolve
+  function advanceFormation() {
+    if (!formed.length) return;
+    if (dissolveFrames) {
+      if (--dissolveLeft <= 0) release();
+    } else if (++formFrame >= holdUntil) {
+      dissolve();
+    }
+  }
+
+  function applyFormationForce(point) {
+    const target = point.target;
+    if (!target) return;
+    const tx = target.x - scrollX; // canvas space, following scroll
+    const ty = target.y - scrollY;
+    const progress = (formFrame - target.delay) / FORMATION.ARRIVAL;
+
+    if (progress <= 0) return; // still waiting its turn — drifts as usual
+    if (target.fromX === null) {
+      target.fromX = point.x;
+      target.fromY = point.y;
+    }
+    if (progress < 1 && !dissolveFrames) {
+      const eased = easeInOut(progress);
+      point.x = lerp(target.fromX, tx, eased);
+      point.y = lerp(target.fromY, ty, eased);
+      return;
+    }
+
+    // Arrived: damped spring hold, loosening to nothing over a dissolve
+    const grip = dissolveFrames ? dissolveLeft / dissolveFrames : 1;
+    point.sx = (point.sx + (tx - point.x) * FORMATION.STIFFNESS * grip) * FORMATION.DAMPING;
+    point.sy = (point.sy + (ty - point.y) * FORMATION.STIFFNESS * grip) * FORMATION.DAMPING;
+    point.x += point.sx;
+    point.y += point.sy;
+  }
+
+  /* =========================
+     Forces
+     Per-point force functions, run in descending priority before the
+     velocity step as fn(point, ctx, params). The built-ins below close
+     over physics state; custom forces (FIELD.addForce) arrive as source
+     text because functions can't cross postMessage, so they must be
+     self-contained and read everything from ctx / params.
+  ========================= */
+
+  function applyPointerForce(point, ctx) {
+    // Disturbance from every active pointer (mouse, pen, each touch)
+    for (let i = 0; i < pointerSources.length; i++) {
+      applyDisturbanceFromSource(point, pointerSources[i]);
+    }
+
+    // Pointer parallax (subtle)
+    point.x += (mx - 0.5) * point.z * (0.15 + ctx.energy * 0.25);
+    point.y += (my - 0.5) * point.z * (0.15 + ctx.energy * 0.25);
+  }
+
+  function applyScrollForce(point, ctx) {
+    // Scroll parallax (controlled)
+    point.y -= scrollForce * point.z * (12 + ctx.energy * 25);
+    point.x += scrollForce * point.z * (2 + ctx.energy * 6);
+  }
+
+  const BUILTIN_FORCES = {
+    formation: applyFormationForce,
+    element: applyElementDisturbance,
+    attract: applyAttractorForce,
+    mouse: applyPointerForce,
+    scroll: applyScrollForce
+  };
+
+  let forces = []; // { name, fn, priority, enabled, params }, sorted by priority
+
+  // Shared per-frame context handed to every force
+  const forceContext = {
+    width: 0,
+    height: 0,
+    time: 0,
+    energy: 0,
+    pointers: pointerSources,
+    scroll: { x: 0, y: 0, force: 0 },
+    random: () => random()
+  };
+
+  function compileForce(name, source) {
+    try {
+      const fn = new Function(`"use strict"; return (${source});`)();
+      if (typeof fn === "function") return fn;
+      throw new TypeError("source is not a function");
+    } catch (err) {
+      emit({ type: "forceError", name, message: err.message });
+      return null;
+    }
+  }
+
+  // Insert or replace a force from its descriptor; built-ins carry no source
+  function setForce({ name, source, priority, enabled, params }) {
+    const fn = source === undefined ? BUILTIN_FORCES[name] : compileForce(name, source);
+    removeForce(name);
+    if (!fn) return;
+    forces.push({ name, fn, priority, enabled, params });
+    forces.sort((a, b) => b.priority - a.priority);
+  }
+
+  function removeForce(name) {
+    forces = forces.filter((force) => force.name !== name);
+  }
+
+  function applyForces(point, ctx) {
+    for (let i = 0; i < forces.length; i++) {
+      const force = forces[i];
+      if (!force.enabled) continue;
+      try {
+        force.fn(point, ctx, force.params);
+      } catch (err) {
+        // One broken force shouldn't stall the field — switch it off
+        force.enabled = false;
+        emit({ type: "forceError", name: force.name, message: err.message });
+      }
+    }
+  }
+
+  /* =========================
+     Physics / Update
+  ========================= */
+
+  function updatePhysics(energy) {
+    const speed = CONFIG.SPEED;
+    const ctx = forceContext;
+    ctx.width = w;
+    ctx.height = h;
+    ctx.time = t;
+    ctx.energy = energy;
+    ctx.pointers = pointerSources;
+    ctx.scroll.x = scrollX;
+    ctx.scroll.y = scrollY;
+    ctx.scroll.force = scrollForce;
+
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+
+      // Forces FIRST (disturbance sets velocity before the position update)
+      applyForces(p, ctx);
+
+      // Base velocity
+      p.x += p.vx * speed * energy;
+      p.y += p.vy * speed * energy;
+
+      // Wrap edges (formed particles follow their target off-screen instead)
+      if (p.target) continue;
+      if (p.x < 0) p.x = w;
+      else if (p.x > w) p.x = 0;
+      if (p.y < 0) p.y = h;
+      else if (p.y > h) p.y = 0;
+    }
+
+    // Re-bucket at final positions so drawConnections() queries are exact;
+    // next frame's countConnections() reads this same grid.
+    buildGrid();
+  }
+
+  /* =========================
+     Input
+  ========================= */
+
+  // parallax is in canvas pixels; sources as in applyDisturbanceFromSource()
+  function setPointers(parallax, sources) {
+    mx = parallax.x / w;
+    my = parallax.y / h;
+    pointerSources = sources;
+  }
+
+  function setScroll(x, y, velocity = 0) {
+    scrollX = x;
+    scrollY = y;
+    scrollVelocity = velocity;
+  }
+
+  function setBounds(bounds) {
+    cachedElementBounds = bounds;
+  }
+
+  function setAttractors(list) {
+    attractors = list;
+  }
+
+  /* =========================
+     Step
+  ========================= */
+
+  // Advance the simulation by one frame without drawing
+  function step() {
+    t += 0.002;
+
+    // Scroll physics (decay)
+    scrollForce += scrollVelocity * 0.002;
+    scrollForce *= 0.9;
+
+    const energy = 0.4 + field.energy * 0.8; // bounded
+    updatePhysics(energy);
+
+    advanceFormation();
+  }
+
+  return {
+    field,
+    disturbance: DISTURBANCE,
+    get points() { return points; },
+    get linkDist() { return linkDist; },
+    get time() { return t; },
+    resize,
+    setDetail,
+    createPoints,
+    fitPointCount,
+    forEachNeighbor,
+    setPointers,
+    setScroll,
+    setBounds,
+    setAttractors,
+    setForce,
+    removeForce,
+    form,
+    dissolve,
+    release,
+    step
+  };
+}
@@ -0,0 +1,351 @@
+/* =============================================================
+   Background field renderers — Canvas2D and WebGL2 backends for
+   bg-field-sim.js. Both take the same calls per frame:
+
+     begin(alpha, bg)                     clear + background tint { r, g, b, a }
+     line(x1, y1, x2, y2, h, s, l, a)     one link
+     node(x, y, radius, h, s, l, a)       one particle
+     end()                                flush
+
+   Colours arrive as HSL(A) — and the tint as RGBA — so the theme,
+   mood interpolation and cluster hue offsets in the sim stay the
+   single source of colour. The 2D
+   backend draws each call immediately; WebGL2 batches every link
+   into one LINES draw and every node into one instanced draw.
+   ============================================================= */
+
+const hsl = (h, s, l, a = 1) => `hsla(${h}, ${s}%, ${l}%, ${a})`;
+
+/**
+ * Pick a backend for the canvas: WebGL2 when available, else Canvas2D.
+ * A canvas can only ever hold one context type, so the choice is final.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {{ onRestore?: () => void }} [options] - called when a lost WebGL context is back
+ */
+export function createRenderer(canvas, options = {}) {
+  return createWebGLRenderer(canvas, options) || createCanvasRenderer(canvas);
+}
+
+/* =========================
+   Canvas2D
+========================= */
+
+export function createCanvasRenderer(canvas) {
+  const ctx = canvas.getContext("2d");
+  let w = 0, h = 0;
+
+  return {
+    name: "2d",
+
+    resize(width, height, dpr) {
+      w = width;
+      h = height;
+      canvas.width = w * dpr;
+      canvas.height = h * dpr;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    },
+
+    begin(alpha, bg) {
+      ctx.clearRect(0, 0, w, h);
+      ctx.fillStyle = `rgba(${bg.r},${bg.g},${bg.b},${bg.a})`;
+      ctx.fillRect(0, 0, w, h);
+      ctx.globalAlpha = alpha;
+    },
+
+    line(x1, y1, x2, y2, hue, sat, light, alpha) {
+      ctx.strokeStyle = hsl(hue, sat, light, alpha);
+      ctx.lineWidth = 0.6;
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+    },
+
+    node(x, y, radius, hue, sat, light, alpha) {
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fillStyle = hsl(hue, sat, light, alpha);
+      ctx.fill();
+    },
+
+    end() {
+      ctx.globalAlpha = 1;
+    }
+  };
+}
+
+/* =========================
+   WebGL2
+========================= */
+
+// Shared by both programs: CSS hsl() semantics (h in degrees, s/l in percent)
+const HSL_TO_RGB = `
+vec3 hslToRgb(vec3 c) {
+  float h = mod(c.x, 360.0) / 360.0;
+  float s = clamp(c.y / 100.0, 0.0, 1.0);
+  float l = clamp(c.z / 100.0, 0.0, 1.0);
+  vec3 rgb = clamp(abs(mod(h * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+  return l + s * (rgb - 0.5) * (1.0 - abs(2.0 * l - 1.0));
+}`;
+
+const LINK_VS = `#version 300 es
+in vec2 a_pos;
+in vec4 a_hsla;
+uniform vec2 u_resolution;
+out vec4 v_hsla;
+void main() {
+  vec2 clip = a_pos / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_hsla = a_hsla;
+}`;
+
+const LINK_FS = `#version 300 es
+precision mediump float;
+in vec4 v_hsla;
+uniform float u_alpha;
+out vec4 outColor;
+${HSL_TO_RGB}
+void main() {
+  float a = v_hsla.w * u_alpha;
+  outColor = vec4(hslToRgb(v_hsla.xyz) * a, a);
+}`;
+
+const NODE_VS = `#version 300 es
+in vec2 a_corner;   // per vertex: unit quad corner
+in vec3 a_node;     // per instance: x, y, radius
+in vec4 a_hsla;     // per instance
+uniform vec2 u_resolution;
+out vec2 v_local;
+out float v_radius;
+out vec4 v_hsla;
+void main() {
+  float extent = a_node.z + 1.0; // 1px fringe for the anti-aliased edge
+  v_local = a_corner * extent;
+  v_radius = a_node.z;
+  v_hsla = a_hsla;
+  vec2 clip = (a_node.xy + v_local) / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+const NODE_FS = `#version 300 es
+precision mediump float;
+in vec2 v_local;
+in float v_radius;
+in vec4 v_hsla;
+uniform float u_alpha;
+out vec4 outColor;
+${HSL_TO_RGB}
+void main() {
+  float coverage = clamp(v_radius - length(v_local) + 0.5, 0.0, 1.0);
+  float a = v_hsla.w * u_alpha * coverage;
+  outColor = vec4(hslToRgb(v_hsla.xyz) * a, a);
+}`;
+
+const LINK_STRIDE = 6; // x, y, h, s, l, a — per vertex
+const NODE_STRIDE = 7; // x, y, radius, h, s, l, a — per instance
+
+// GL lines are always 1px; scale alpha to match the 0.6px 2D stroke's coverage
+const LINE_COVERAGE = 0.6;
+
+function compileProgram(gl, vsSource, fsSource) {
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, vsSource], [gl.FRAGMENT_SHADER, fsSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(gl.getShaderInfoLog(shader));
+    }
+    gl.attachShader(program, shader);
+  }
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program));
+  }
+  return program;
+}
+
+// Float32Array that doubles when full; `length` counts floats in use
+function createBatch(initial) {
+  return {
+    data: new Float32Array(initial),
+    length: 0,
+    reserve(count) {
+      if (this.length + count <= this.data.length) return;
+      const next = new Float32Array(Math.max(this.data.length * 2, this.length + count));
+      next.set(this.data.subarray(0, this.length));
+      this.data = next;
+    }
+  };
+}
+
+const CONTEXT_OPTIONS = { alpha: true, premultipliedAlpha: true, antialias: true };
+
+// Compile both programs on a throwaway context first. Taking a webgl2
+// context claims the canvas for good, so a driver that rejects the shaders
+// must be found out before the real canvas is touched, or the Canvas2D
+// fallback could never get a context.
+function shadersCompile() {
+  if (typeof OffscreenCanvas !== "function") return true; // can't probe; try for real
+  const gl = new OffscreenCanvas(1, 1).getContext("webgl2", CONTEXT_OPTIONS);
+  if (!gl) return false;
+  try {
+    compileProgram(gl, LINK_VS, LINK_FS);
+    compileProgram(gl, NODE_VS, NODE_FS);
+    return true;
+  } catch {
+    return false;
+  } finally {
+    gl.getExtension("WEBGL_lose_context")?.loseContext();
+  }
+}
+
+/**
+ * @returns renderer, or null when WebGL2 is unavailable
+ */
+export function createWebGLRenderer(canvas, { onRestore } = {}) {
+  if (!shadersCompile()) return null;
+  const gl = canvas.getContext("webgl2", CONTEXT_OPTIONS);
+  if (!gl) return null;
+
+  const links = createBatch(4096 * LINK_STRIDE);
+  const nodes = createBatch(512 * NODE_STRIDE);
+  let w = 0, h = 0;
+  let particleAlpha = 1;
+  let lost = false;
+  let linkProgram, nodeProgram, linkVao, linkBuffer, nodeVao, nodeBuffer, uniforms;
+
+  // Every GL object dies with the context, so this runs again on restore
+  function setup() {
+    linkProgram = compileProgram(gl, LINK_VS, LINK_FS);
+    nodeProgram = compileProgram(gl, NODE_VS, NODE_FS);
+
+    // Links: one interleaved vertex buffer
+    linkVao = gl.createVertexArray();
+    linkBuffer = gl.createBuffer();
+    gl.bindVertexArray(linkVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, linkBuffer);
+    const linkPos = gl.getAttribLocation(linkProgram, "a_pos");
+    const linkHsla = gl.getAttribLocation(linkProgram, "a_hsla");
+    gl.enableVertexAttribArray(linkPos);
+    gl.vertexAttribPointer(linkPos, 2, gl.FLOAT, false, LINK_STRIDE * 4, 0);
+    gl.enableVertexAttribArray(linkHsla);
+    gl.vertexAttribPointer(linkHsla, 4, gl.FLOAT, false, LINK_STRIDE * 4, 2 * 4);
+
+    // Nodes: static unit quad + per-instance buffer
+    nodeVao = gl.createVertexArray();
+    gl.bindVertexArray(nodeVao);
+    const quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    const corner = gl.getAttribLocation(nodeProgram, "a_corner");
+    gl.enableVertexAttribArray(corner);
+    gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+
+    nodeBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, nodeBuffer);
+    const nodeAttr = gl.getAttribLocation(nodeProgram, "a_node");
+    const nodeHsla = gl.getAttribLocation(nodeProgram, "a_hsla");
+    gl.enableVertexAttribArray(nodeAttr);
+    gl.vertexAttribPointer(nodeAttr, 3, gl.FLOAT, false, NODE_STRIDE * 4, 0);
+    gl.vertexAttribDivisor(nodeAttr, 1);
+    gl.enableVertexAttribArray(nodeHsla);
+    gl.vertexAttribPointer(nodeHsla, 4, gl.FLOAT, false, NODE_STRIDE * 4, 3 * 4);
+    gl.vertexAttribDivisor(nodeHsla, 1);
+    gl.bindVertexArray(null);
+
+    uniforms = {
+      link: {
+        resolution: gl.getUniformLocation(linkProgram, "u_resolution"),
+        alpha: gl.getUniformLocation(linkProgram, "u_alpha")
+      },
+      node: {
+        resolution: gl.getUniformLocation(nodeProgram, "u_resolution"),
+        alpha: gl.getUniformLocation(nodeProgram, "u_alpha")
+      }
+    };
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA); // premultiplied output
+    gl.viewport(0, 0, canvas.width, canvas.height);
+  }
+
+  setup();
+
+  // GPU resets and driver updates take the context away; preventing the
+  // default asks the browser to give it back, and drawing resumes then.
+  // Until it does, frames are dropped (the sim keeps stepping).
+  canvas.addEventListener("webglcontextlost", (e) => {
+    e.preventDefault();
+    lost = true;
+  });
+  canvas.addEventListener("webglcontextrestored", () => {
+    setup();
+    lost = false;
+    onRestore?.(); // a stopped loop would otherwise leave it blank
+  });
+
+  return {
+    name: "webgl2",
+
+    resize(width, height, dpr) {
+      w = width;
+      h = height;
+      canvas.width = w * dpr;
+      canvas.height = h * dpr;
+      gl.viewport(0, 0, canvas.width, canvas.height);
+    },
+
+    begin(alpha, bg) {
+      particleAlpha = alpha;
+      links.length = 0;
+      nodes.length = 0;
+      if (lost) return;
+      const a = bg.a;
+      gl.clearColor(bg.r / 255 * a, bg.g / 255 * a, bg.b / 255 * a, a);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    },
+
+    line(x1, y1, x2, y2, hue, sat, light, alpha) {
+      links.reserve(2 * LINK_STRIDE);
+      const d = links.data;
+      let i = links.length;
+      const a = alpha * LINE_COVERAGE;
+      d[i++] = x1; d[i++] = y1; d[i++] = hue; d[i++] = sat; d[i++] = light; d[i++] = a;
+      d[i++] = x2; d[i++] = y2; d[i++] = hue; d[i++] = sat; d[i++] = light; d[i++] = a;
+      links.length = i;
+    },
+
+    node(x, y, radius, hue, sat, light, alpha) {
+      nodes.reserve(NODE_STRIDE);
+      const d = nodes.data;
+      let i = nodes.length;
+      d[i++] = x; d[i++] = y; d[i++] = radius;
+      d[i++] = hue; d[i++] = sat; d[i++] = light; d[i++] = alpha;
+      nodes.length = i;
+    },
+
+    end() {
+      if (lost) return;
+      if (links.length) {
+        gl.useProgram(linkProgram);
+        gl.uniform2f(uniforms.link.resolution, w, h);
+        gl.uniform1f(uniforms.link.alpha, particleAlpha);
+        gl.bindVertexArray(linkVao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, linkBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, links.data.subarray(0, links.length), gl.DYNAMIC_DRAW);
+        gl.drawArrays(gl.LINES, 0, links.length / LINK_STRIDE);
+      }
+      if (nodes.length) {
+        gl.useProgram(nodeProgram);
+        gl.uniform2f(uniforms.node.resolution, w, h);
+        gl.uniform1f(uniforms.node.alpha, particleAlpha);
+        gl.bindVertexArray(nodeVao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, nodeBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, nodes.data.subarray(0, nodes.length), gl.DYNAMIC_DRAW);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, nodes.length / NODE_STRIDE);
+      }
+      gl.bindVertexArray(null);
+    }
+  };
+}
@@ -0,0 +1,398 @@
+/* =============================================================
+   Background field simulation host for bg-field.js — the frame
+   loop, quality governor, theme and captures around the physics in
+   bg-field-physics.js. Drawing goes through bg-field-render.js
+   (WebGL2, or Canvas2D as the fallback).
+
+   Runs inside bg-field-worker.js on an OffscreenCanvas, or on the
+   main thread when OffscreenCanvas is unavailable. Either way it is
+   driven only by messages (see handle() below), so both paths share
+   one protocol and bg-field.js never touches the points directly.
+   No DOM access in here — the worker has none.
+   ============================================================= */
+
+import { createRenderer } from "./bg-field-render.js";
+import { createFieldPhysics } from "./bg-field-physics.js";
+
+const raf = typeof self.requestAnimationFrame === "function"
+  ? self.requestAnimationFrame.bind(self)
+  : (cb) => setTimeout(() => cb(performance.now()), 16);
+
+/**
+ * Create a field host bound to a canvas (HTMLCanvasElement or OffscreenCanvas).
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {(msg: object, transfer?: Transferable[]) => void} emit - sends messages back to bg-field.js
+ * @returns {{ handle: (msg: object) => void }}
+ */
+export function createFieldHost(canvas, emit) {
+  const renderer = createRenderer(canvas, { onRestore: () => render() });
+  const physics = createFieldPhysics({ emit });
+  const { field } = physics;
+  let w = 0, h = 0, dpr = 1;
+  let looping = false;
+  let loopGen = 0; // bumped by stop, so a frame already queued can't carry on
+  let particleAlpha = 1;
+  let linkGain = 1; // link alpha multiplier (FIELD.listen treble)
+
+  /* =========================
+     CONFIGURATION
+     Physics constants live in bg-field-physics.js
+  ========================= */
+
+  const CONFIG = {
+    DEPTH: 1.5,
+    BASE_ALPHA: 0.7,
+    LINE_ALPHA: 0.35,
+    NODE_SIZE: 1.2
+  };
+
+  /* =========================
+     COLOR MOODS
+     Themed from CSS (--field-mood-1…n, --field-bg) by bg-field.js; these
+     defaults match design-system.css and cover the gap until init.
+     FIELD.spectrum sweeps across however many stops the theme defines.
+  ========================= */
+
+  let moods = [
+    { h: 200, s: 30, l: 60 }, // Light Cyan (8BBAC1)
+    { h: 195, s: 45, l: 50 }, // Mid Cyan/Teal
+    { h: 188, s: 35, l: 48 }, // Teal (3085A4)
+    { h: 85, s: 60, l: 52 }   // Green (89C45A)
+  ];
+  let background = { r: 5, g: 10, b: 20, a: 0.08 };
+
+  function setTheme(theme) {
+    if (theme.moods.length) moods = theme.moods;
+    if (theme.background) background = theme.background;
+  }
+
+  /* =========================
+     Helpers
+  ========================= */
+
+  const clamp = (v, a, b) => Math.max(a, Math.min(v, b));
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const lerpColor = (c1, c2, t) => ({
+    h: lerp(c1.h, c2.h, t),
+    s: lerp(c1.s, c2.s, t),
+    l: lerp(c1.l, c2.l, t)
+  });
+
+  /* =========================
+     Quality governor
+     draw() feeds each frame's interval and work time into a rolling
+     window. Over budget steps down a tier — fewer points first, then
+     shorter links, then a lower-resolution backing store; sustained
+     headroom steps back up. Separate down/up thresholds, a fresh window
+     after every change and several good windows before climbing keep
+     it from flapping between tiers.
+  ========================= */
+
+  const QUALITY_TIERS = [
+    { name: "high",    points: 1,   links: 1,   resolution: 1 },
+    { name: "medium",  points: 0.7, links: 1,   resolution: 1 },
+    { name: "low",     points: 0.5, links: 0.8, resolution: 1 },
+    { name: "minimal", points: 0.5, links: 0.8, resolution: 0.5 }
+  ];
+
+  const QUALITY = {
+    WINDOW: 60,          // frames per decision
+    FRAME_BUDGET: 20,    // ms; average frame interval above this (<50fps) steps down
+    WORK_BUDGET: 12,     // ms; average draw() time above this steps down
+    WORK_HEADROOM: 5,    // ms; average draw() time below this counts as headroom
+    WINDOWS_TO_RAISE: 3, // consecutive headroom windows before stepping up
+    MAX_INTERVAL: 100    // ms; longer gaps are stalls (tab switch, GC), counted as this
+  };
+
+  let qualityTier = 0;
+  let lastFrameStart = 0;
+  let sampleCount = 0;
+  let intervalSum = 0;
+  let workSum = 0;
+  let headroomWindows = 0;
+
+  function resetFrameSamples() {
+    lastFrameStart = 0;
+    sampleCount = 0;
+    intervalSum = 0;
+    workSum = 0;
+  }
+
+  function setQualityTier(tier) {
+    qualityTier = tier;
+    const quality = QUALITY_TIERS[tier];
+    physics.setDetail(quality);
+    renderer.resize(w, h, dpr * quality.resolution);
+    resetFrameSamples();
+    headroomWindows = 0;
+    emit({ type: "quality", name: quality.name });
+  }
+
+  function sampleFrame(frameStart, workMs) {
+    if (lastFrameStart) {
+      // A hidden tab stops rAF without a "stop" message; clamping keeps that
+      // one gap from failing the window, while a steady <10fps still does
+      intervalSum += Math.min(frameStart - lastFrameStart, QUALITY.MAX_INTERVAL);
+      workSum += workMs;
+      sampleCount++;
+    }
+    lastFrameStart = frameStart;
+    if (sampleCount < QUALITY.WINDOW) return;
+
+    const interval = intervalSum / sampleCount;
+    const work = workSum / sampleCount;
+    resetFrameSamples();
+    lastFrameStart = frameStart;
+
+    if (interval > QUALITY.FRAME_BUDGET || work > QUALITY.WORK_BUDGET) {
+      headroomWindows = 0;
+      if (qualityTier < QUALITY_TIERS.length - 1) setQualityTier(qualityTier + 1);
+    } else if (work < QUALITY.WORK_HEADROOM && qualityTier > 0) {
+      if (++headroomWindows >= QUALITY.WINDOWS_TO_RAISE) setQualityTier(qualityTier - 1);
+    } else {
+      headroomWindows = 0;
+    }
+  }
+
+  /* =========================
+     Canvas
+  ========================= */
+
+  function resize(width, height, ratio) {
+    dpr = ratio;
+    w = width;
+    h = height;
+    physics.resize(w, h);
+    renderer.resize(w, h, dpr * QUALITY_TIERS[qualityTier].resolution);
+  }
+
+  /* =========================
+     Rendering helpers
+  ========================= */
+
+  function drawConnections(mood, clusterScale) {
+    const { points, linkDist } = physics;
+    const t = physics.time;
+    const lineAlpha = CONFIG.LINE_ALPHA * linkGain;
+    // Same-cluster links reach furthest, so that bounds the grid query
+    const maxReach = linkDist * lerp(1.0, 1.6, clusterScale);
+
+    for (let i = 0; i < points.length; i++) {
+      const p1 = points[i];
+      physics.forEachNeighbor(p1.x, p1.y, maxReach, (j) => {
+        if (j <= i) return; // each pair once
+        const p2 = points[j];
+        const dx = p1.x - p2.x;
+        const dy = p1.y - p2.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        const sameCluster = p1.cluster === p2.cluster;
+        const clusterBias = lerp(1.0, sameCluster ? 1.6 : 0.7, clusterScale);
+
+        if (dist < linkDist * clusterBias) {
+          const alpha = (1 - dist / (linkDist * clusterBias)) * lineAlpha;
+          const hue = mood.h + p1.z * 18 + Math.sin(t + p1.x * 0.002) * 4;
+
+          renderer.line(p1.x, p1.y, p2.x, p2.y, hue, mood.s, mood.l, alpha);
+        }
+      });
+    }
+  }
+
+  function drawNodes(mood, clusterScale) {
+    const { points } = physics;
+    const t = physics.time;
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      const size = CONFIG.NODE_SIZE + p.z * CONFIG.DEPTH;
+      const clusterHueOffset = (p.cluster - 2.5) * 12 * clusterScale;
+
+      const hue = mood.h + clusterHueOffset + p.z * 18 + Math.cos(t + p.y * 0.002) * 3;
+      const light = mood.l + p.z * 18;
+
+      renderer.node(p.x, p.y, size, hue, mood.s, light, CONFIG.BASE_ALPHA + p.z * 0.25);
+    }
+  }
+
+  function currentMood() {
+    const moodIndex = clamp(field.spectrum, 0, 1) * (moods.length - 1);
+    const i0 = Math.floor(moodIndex);
+    const i1 = Math.min(i0 + 1, moods.length - 1);
+    return lerpColor(moods[i0], moods[i1], moodIndex - i0);
+  }
+
+  /* =========================
+     Frame
+  ========================= */
+
+  function render() {
+    const mood = currentMood();
+    const clusterScale = clamp(field.clusters, 0, 1);
+    renderer.begin(particleAlpha, background);
+    drawConnections(mood, clusterScale);
+    drawNodes(mood, clusterScale);
+    renderer.end();
+  }
+
+  function drawStatic() {
+    render();
+  }
+
+  // One animated frame; returns the time it took so the loop can report it
+  function draw() {
+    const frameStart = performance.now();
+    physics.step();
+    render();
+
+    const workMs = performance.now() - frameStart;
+    sampleFrame(frameStart, workMs);
+    return workMs;
+  }
+
+  // Recording / snapshots (FIELD.record, FIELD.snapshot): advance `steps`
+  // frames, render at `scale` × device resolution and send back an
+  // ImageBitmap. Steps are plain simulation frames, independent of the live
+  // loop, so captures work the same while paused.
+  function capture({ id, steps = 0, scale = 1 }) {
+    for (let i = 0; i < steps; i++) physics.step();
+
+    const liveRatio = dpr * QUALITY_TIERS[qualityTier].resolution;
+    const captureRatio = dpr * scale;
+    if (captureRatio !== liveRatio) renderer.resize(w, h, captureRatio);
+    render();
+    // The source is read synchronously, so the canvas can be restored below
+    const bitmap = createImageBitmap(canvas);
+    if (captureRatio !== liveRatio) {
+      renderer.resize(w, h, liveRatio);
+      render();
+    }
+
+    bitmap.then(
+      (image) => emit({ type: "captured", id, bitmap: image }, [image]),
+      (err) => emit({ type: "captured", id, error: err.message })
+    );
+  }
+
+  // Self-scheduling loop; start()/stop() are idempotent so a repeated
+  // "start" can never queue a second concurrent loop (double-draw). Each
+  // loop carries its generation: after stop + start within one frame the
+  // old callback is still queued, and it must end rather than run alongside.
+  function loop(gen) {
+    if (!looping || gen !== loopGen) return;
+    emit({ type: "frame", workMs: draw() });
+    raf(() => loop(gen));
+  }
+
+  /* =========================
+     Message protocol
+     init        { canvas?, width, height, dpr, seed, field, disturbance, bounds, attractors, scroll, alpha, forces, theme }
+     resize      { width, height, dpr }
+     field       { values }       partial window.FIELD values
+     disturbance { values }       partial DISTURBANCE_CONFIG
+     pointers    { parallax: { x, y }, sources: [{ x, y, vx, vy, intensity }] }
+     scroll      { x, y, velocity }
+     bounds      { bounds }       element bounds cache
+     attractors  { attractors }   attractor cache (hover state included)
+     alpha       { value }        particle fade (setVisible)
+     linkAlpha   { value }        link alpha multiplier, 1 = as configured
+     theme       { moods: [{ h, s, l }], background: { r, g, b, a } | null }
+     createPoints { seed? }      regenerate (reseeding the PRNG when given)
+     force       { name, source?, priority, enabled, params }  add / replace
+     removeForce { name }
+     capture     { id, steps?, scale? }   step, render and return an ImageBitmap
+     form        { targets: [{ x, y }], holdMs, instant? }   document-space targets
+     dissolve    { durationMs }   loosen the formation, then release
+     release                      let go at once
+     drawStatic / start / stop
+
+     Emitted back: ready { renderer }, frame { workMs }, quality { name },
+     forceError { name, message }, captured { id, bitmap | error }, released
+  ========================= */
+
+  function handle(msg) {
+    switch (msg.type) {
+      case "init":
+        Object.assign(field, msg.field);
+        Object.assign(physics.disturbance, msg.disturbance);
+        physics.setBounds(msg.bounds);
+        physics.setAttractors(msg.attractors);
+        physics.setScroll(msg.scroll.x, msg.scroll.y);
+        particleAlpha = msg.alpha;
+        setTheme(msg.theme);
+        msg.forces.forEach(physics.setForce);
+        resize(msg.width, msg.height, msg.dpr);
+        physics.createPoints(msg.seed);
+        emit({ type: "ready", renderer: renderer.name });
+        break;
+      case "resize":
+        resize(msg.width, msg.height, msg.dpr);
+        break;
+      case "field":
+        Object.assign(field, msg.values);
+        if (msg.values.density !== undefined) physics.fitPointCount();
+        break;
+      case "disturbance":
+        Object.assign(physics.disturbance, msg.values);
+        break;
+      case "pointers":
+        physics.setPointers(msg.parallax, msg.sources);
+        break;
+      case "scroll":
+        physics.setScroll(msg.x, msg.y, msg.velocity);
+        break;
+      case "bounds":
+        physics.setBounds(msg.bounds);
+        break;
+      case "attractors":
+        physics.setAttractors(msg.attractors);
+        break;
+      case "alpha":
+        particleAlpha = msg.value;
+        break;
+      case "linkAlpha":
+        linkGain = msg.value;
+        break;
+      case "theme":
+        setTheme(msg);
+        break;
+      case "createPoints":
+        physics.createPoints(msg.seed);
+        break;
+      case "force":
+        physics.setForce(msg);
+        break;
+      case "removeForce":
+        physics.removeForce(msg.name);
+        break;
+      case "drawStatic":
+        drawStatic();
+        break;
+      case "capture":
+        capture(msg);
+        break;
+      case "form":
+        physics.form(msg.targets, msg.holdMs, msg.instant);
+        break;
+      case "dissolve":
+        physics.dissolve(Math.round(msg.durationMs / (1000 / 60)));
+        break;
+      case "release":
+        physics.release();
+        break;
+      case "start":
+        if (!looping) {
+          looping = true;
+          resetFrameSamples(); // time spent stopped isn't a slow frame
+          const gen = loopGen;
+          raf(() => loop(gen));
+        }
+        break;
+      case "stop":
+        looping = false;
+        loopGen++;
+        break;
+    }
+  }
+
+  return { handle };
+}
@@ -0,0 +1,22 @@
+/* =============================================================
+   Background field worker — hosts bg-field-sim.js on the
+   OffscreenCanvas transferred from #bg-field, so physics and
+   drawing stay off the main thread. bg-field.js posts "init"
+   (carrying the canvas) once it sees "loaded", then streams
+   input and FIELD changes as messages.
+   ============================================================= */
+
+import { createFieldHost } from "./bg-field-sim.js";
+
+let host = null;
+
+self.addEventListener("message", (e) => {
+  const msg = e.data;
+  if (msg.type === "init") {
+    host = createFieldHost(msg.canvas, (out, transfer) => self.postMessage(out, transfer));
+  }
+  if (host) host.handle(msg);
+});
+
+// Module imports resolved — safe to transfer the canvas now
+self.postMessage({ type: "loaded" });
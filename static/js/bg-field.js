@@ -1,54 +1,102 @@
 (() => {
   window.FIELD = window.FIELD || {};
+
+  /* =========================
+     Event bus
+     FIELD.on / off / emit — lifecycle events for other modules:
+       ready            { renderer, thread }   sticky: late subscribers still get it
+       unavailable      { reason }   no field on this page, or its host failed to start (sticky too)
+       play / pause     animation loop started / stopped (for any reason)
+       tick             once per animated frame — drive per-frame DOM effects from this
+       visibilitychange { visible }
+       statechange      { energy?, spectrum?, clusters?, density?, disturbance? }
+       reset            { seed }
+       resize           { width, height, dpr }
+       qualitychange    { quality }   adaptive tier, see FIELD.quality
+       formation        { active, shape? }   a formation started / was released
+       listen           { listening }   FIELD.listen() started / stopListening()
+     Installed before the canvas check so subscribing is always safe.
+  ========================= */
+
+  const listeners = {};
+  const STICKY = new Set(["ready", "unavailable"]);
+  const stickyDetail = {};
+
+  window.FIELD.on = (type, fn) => {
+    (listeners[type] ||= new Set()).add(fn);
+    if (stickyDetail[type]) fn(stickyDetail[type]);
+  };
+
+  window.FIELD.off = (type, fn) => {
+    listeners[type]?.delete(fn);
+  };
+
+  window.FIELD.emit = (type, detail = {}) => {
+    if (STICKY.has(type)) stickyDetail[type] = detail;
+    for (const fn of [...(listeners[type] || [])]) {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error(`FIELD "${type}" listener failed:`, err);
+      }
+    }
+  };
+
+  const emit = window.FIELD.emit;
+
   const canvas = document.getElementById("bg-field");
-  if (!canvas) return;
+  if (!canvas) {
+    emit("unavailable", { reason: "no canvas" });
+    return;
+  }
 
-  const ctx = canvas.getContext("2d");
   let w = 0, h = 0, dpr = 1;
-  let points = [];
 
   let active = (document.documentElement.dataset.bgMode || "canvas") === "canvas";
   let running = false;
   let reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
   let paused = false;
   let hidden = false;
+  // FIELD.record() steps the host itself meanwhile, so the host's loop is
+  // held without touching `running`: to the page the field is still playing
+  let recording = false;
   let particleAlpha = 1;
   let tweenGen = 0;
 
+  // Physics and drawing live in bg-field-sim.js (physics in bg-field-physics.js),
+  // hosted either in bg-field-worker.js (OffscreenCanvas) or on this thread
+  // as a fallback.
+  // `send` stays null until the host has been given its init message —
+  // anything posted earlier is dropped because init carries the full state.
+  let send = null;
+  const post = (msg) => { if (send) send(msg); };
+  let thread = null; // "worker" | "main" once a host has been chosen
+  let renderer = null; // "webgl2" | "2d" once the host is ready
+  let quality = "high"; // tier chosen by the host's frame-time governor
+
   // Cache of world-space expanded bounds for [data-particle-disturbance] elements.
-  // Built once at init and on resize — never queried per-frame.
+  // Built at init and whenever layout changes — never queried per-frame.
   let cachedElementBounds = [];
 
   let lastScrollY = window.scrollY;
   let scrollVelocity = 0;
-  let scrollForce = 0;
   let scrollTimeout = null;
 
-  let mx = 0.5, my = 0.5;
-  let t = 0;
-
-  // Mouse disturbance field state
-  let mouseWorldX = 0;
-  let mouseWorldY = 0;
-  let lastMouseX = 0;
-  let lastMouseY = 0;
-  let mouseVelocityX = 0;
-  let mouseVelocityY = 0;
-  let isMouseActive = false;
-  let mouseInactivityTimeout = null;
+  // Pointer disturbance field state — one source per active pointerId
+  // (mouse, pen, or each touch point), each with its own velocity and
+  // inactivity timer. Parallax follows the primary pointer.
+  const POINTER_IDLE_MS = 1000;
+  const pointers = new Map();
+  let parallaxX = window.innerWidth / 2;
+  let parallaxY = window.innerHeight / 2;
 
   /* =========================
      CONFIGURATION
+     Physics constants live in bg-field-physics.js, render ones in bg-field-sim.js
   ========================= */
 
   const CONFIG = {
-    POINTS: Math.min(160, Math.floor(window.innerWidth * 0.12)),
-    LINK_DIST: 140,
-    SPEED: 0.25,
-    DEPTH: 1.5,
-    BASE_ALPHA: 0.7,
-    LINE_ALPHA: 0.35,
-    NODE_SIZE: 1.2
+    POINTS: Math.min(160, Math.floor(window.innerWidth * 0.12))
   };
 
   // Disturbance field config - exposed for real-time tweaking
@@ -58,216 +106,168 @@
     BASE_FORCE_MULT: 0.10, // multiplier for base force
     SPEED_MIN: 0.5,    // speed factor minimum (at stillness)
     SPEED_MAX: 1.5,    // speed factor maximum (at fast movement)
-    SPEED_MULT: 0.1,   // how much mouse speed affects the disturbance
+    SPEED_MULT: 0.1,   // how much pointer speed affects the disturbance
     CONNECTION_RESISTANCE: 0.05, // how much each connection reduces force
     CONNECTION_MIN: 0.30 // minimum force even with many connections
   };
 
-  // Expose to window for real-time tweaking
-  window.DISTURBANCE_CONFIG = DISTURBANCE;
+  // Expose to window for real-time tweaking; writes are forwarded to the host
+  window.DISTURBANCE_CONFIG = new Proxy(DISTURBANCE, {
+    set(target, key, value) {
+      target[key] = value;
+      post({ type: "disturbance", values: { [key]: value } });
+      emit("statechange", { disturbance: { [key]: value } });
+      return true;
+    }
+  });
 
   /* =========================
      GLOBAL FIELD CONTROLS
      normalized 0–1
   ========================= */
 
-  window.FIELD = window.FIELD || {};
-  window.FIELD.energy = window.FIELD.energy ?? 0.35; // motion intensity (narrow range)
-  window.FIELD.spectrum = window.FIELD.spectrum ?? 0.3; // mood selector
-  window.FIELD.clusters = window.FIELD.clusters ?? 0.4; // structural separation
-  window.FIELD.density = window.FIELD.density ?? CONFIG.POINTS;
+  const fieldValues = {
+    energy: window.FIELD.energy ?? 0.35, // motion intensity (narrow range)
+    spectrum: window.FIELD.spectrum ?? 0.3, // mood selector
+    clusters: window.FIELD.clusters ?? 0.4, // structural separation
+    density: window.FIELD.density ?? CONFIG.POINTS
+  };
+
+  // Site defaults, captured before a shared #field= hash can override them
+  const initialState = { ...fieldValues, disturbance: { ...DISTURBANCE } };
+
+  /* =========================
+     Shareable state in location.hash
+     #field=e35s30c40d160~k3x9a → energy/spectrum/clusters as percentages,
+     density as a point count, then the layout seed in base 36. The same
+     seed at the same viewport size reproduces the same starting layout.
+  ========================= */
+
+  const HASH_PATTERN = /^#?field=e(\d+)s(\d+)c(\d+)d(\d+)(?:~([0-9a-z]+))?$/i;
+
+  // A link is outside input: hold it to what the field controls can set
+  // (the density dial's min/max), or d99999999 asks for millions of points
+  const DENSITY_RANGE = [50, 300];
+  const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+  const newSeed = () => Math.floor(Math.random() * 2 ** 32) >>> 0;
+
+  function decodeHash(hash) {
+    const match = HASH_PATTERN.exec(hash);
+    if (!match) return null;
+    const [, e, sp, c, d, seedText] = match;
+    return {
+      values: {
+        energy: clamp(e / 100, 0, 1),
+        spectrum: clamp(sp / 100, 0, 1),
+        clusters: clamp(c / 100, 0, 1),
+        density: clamp(+d, ...DENSITY_RANGE)
+      },
+      seed: seedText ? parseInt(seedText, 36) >>> 0 : null
+    };
+  }
+
+  function encodeHash() {
+    const pct = (v) => Math.round(v * 100);
+    return `#field=e${pct(fieldValues.energy)}s${pct(fieldValues.spectrum)}` +
+      `c${pct(fieldValues.clusters)}d${Math.round(fieldValues.density)}~${seed.toString(36)}`;
+  }
+
+  const shared = decodeHash(location.hash);
+  if (shared) Object.assign(fieldValues, shared.values);
+  let seed = shared?.seed ?? newSeed();
+
+  // Plain-property feel for callers (coin-flip.js, field-controls.js, console),
+  // but every write is posted to the simulation host.
+  for (const key of Object.keys(fieldValues)) {
+    Object.defineProperty(window.FIELD, key, {
+      get: () => fieldValues[key],
+      set: (value) => {
+        fieldValues[key] = value;
+        post({ type: "field", values: { [key]: value } });
+        emit("statechange", { [key]: value });
+      },
+      enumerable: true,
+      configurable: true
+    });
+  }
 
   // Reduced-motion utility — shared across all modules via window.FIELD
   window.FIELD._motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
   window.FIELD.prefersReducedMotion = () => window.FIELD._motionQuery.matches;
 
-  /* =========================
-     COLOR MOODS
-     Aligned with color palette
-  ========================= */
+  // Frame counters for perf tests: frames drawn and total ms spent in draw()
+  window.FIELD.stats = { frames: 0, workMs: 0 };
 
-  const MOODS = [
-    { h: 200, s: 30, l: 60 }, // Light Cyan (8BBAC1)
-    { h: 195, s: 45, l: 50 }, // Mid Cyan/Teal
-    { h: 188, s: 35, l: 48 }, // Teal (3085A4)
-    { h: 85, s: 60, l: 52 }   // Green (89C45A)
-  ];
+  // Where the simulation runs: "worker", "main", or null while it loads
+  Object.defineProperty(window.FIELD, "thread", {
+    get: () => thread,
+    enumerable: true,
+    configurable: true
+  });
 
-  /* =========================
-     Helpers
-  ========================= */
+  // Active drawing backend: "webgl2", "2d", or null while it loads
+  Object.defineProperty(window.FIELD, "renderer", {
+    get: () => renderer,
+    enumerable: true,
+    configurable: true
+  });
 
-  const clamp = (v, a, b) => Math.max(a, Math.min(v, b));
-  const rand = (min, max) => Math.random() * (max - min) + min;
-  const lerp = (a, b, t) => a + (b - a) * t;
-  const lerpColor = (c1, c2, t) => ({
-    h: lerp(c1.h, c2.h, t),
-    s: lerp(c1.s, c2.s, t),
-    l: lerp(c1.l, c2.l, t)
+  // Adaptive quality tier: "high", "medium", "low" or "minimal"
+  Object.defineProperty(window.FIELD, "quality", {
+    get: () => quality,
+    enumerable: true,
+    configurable: true
   });
-  const hsl = (h, s, l, a = 1) => `hsla(${h}, ${s}%, ${l}%, ${a})`;
 
   /* =========================
-     Canvas / Points
+     Canvas
   ========================= */
 
   function resize() {
     dpr = window.devicePixelRatio || 1;
     w = window.innerWidth;
     h = window.innerHeight;
-    canvas.width = w * dpr;
-    canvas.height = h * dpr;
+    // Backing-store size is set by the host — a transferred canvas rejects it here
     canvas.style.width = w + "px";
     canvas.style.height = h + "px";
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    post({ type: "resize", width: w, height: h, dpr });
+    emit("resize", { width: w, height: h, dpr });
   }
 
   function createPoints() {
-    points = new Array(window.FIELD.density);
-    for (let i = 0; i < window.FIELD.density; i++) {
-      points[i] = {
-        x: Math.random() * w,
-        y: Math.random() * h,
-        z: Math.random(),
-        vx: rand(-1, 1) * 0.3,
-        vy: rand(-1, 1) * 0.3,
-        cluster: Math.floor(Math.random() * 6)
-      };
-    }
+    post({ type: "createPoints", seed });
   }
 
   window.createPoints = createPoints;
 
-  /* =========================
-     Disturbance Field Physics
-  ========================= */
+  const DISTURBANCE_SELECTOR = "[data-particle-disturbance]";
 
-  let disturbanceTestCount = 0;
-  
-  function countConnections(point) {
-    // Count how many nearby particles this one is connected to
-    let connectionCount = 0;
-    const linkDist = CONFIG.LINK_DIST;
-    
-    for (let i = 0; i < points.length; i++) {
-      const other = points[i];
-      if (other === point) continue;
-      
-      const dx = point.x - other.x;
-      const dy = point.y - other.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      
-      if (dist < linkDist) {
-        connectionCount++;
-      }
+  // True when the element (or a containing block) is position: fixed, so it
+  // stays put in the viewport while the page scrolls underneath
+  function isFixed(element) {
+    for (let el = element; el; el = el.offsetParent) {
+      if (getComputedStyle(el).position === "fixed") return true;
     }
-    return connectionCount;
+    return false;
   }
 
-  function applyDisturbanceFromSource(point, sourceX, sourceY, intensity = 1.0) {
-    // Apply disturbance from a specific point source (mouse or letter)
-    const dx = point.x - sourceX;
-    const dy = point.y - sourceY;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    // Only apply force if within radius
-    if (dist < DISTURBANCE.RADIUS) {
-      if (dist < 0.1) {
-        // Push away in random direction if exactly at source
-        const angle = Math.random() * Math.PI * 2;
-        point.x += Math.cos(angle) * 10 * intensity;
-        point.y += Math.sin(angle) * 10 * intensity;
-      } else {
-        const nx = dx / dist;
-        const ny = dy / dist;
-
-        // Linear falloff by distance
-        const normalizedDist = dist / DISTURBANCE.RADIUS;
-        const distanceFalloff = Math.max(0, 1 - normalizedDist);
-        
-        // Speed-based falloff: faster mouse = stronger disturbance
-        const mouseSpeed = Math.sqrt(mouseVelocityX * mouseVelocityX + mouseVelocityY * mouseVelocityY);
-        const speedFactor = Math.min(DISTURBANCE.SPEED_MAX, DISTURBANCE.SPEED_MIN + mouseSpeed * DISTURBANCE.SPEED_MULT);
-        
-        // Connection-based reduction
-        const connectionCount = countConnections(point);
-        const connectionResistance = Math.max(DISTURBANCE.CONNECTION_MIN, 1 - connectionCount * DISTURBANCE.CONNECTION_RESISTANCE);
-        
-        // Calculate force
-        const baseForce = DISTURBANCE.STRENGTH * DISTURBANCE.BASE_FORCE_MULT;
-        const totalFalloff = distanceFalloff * speedFactor * connectionResistance * intensity;
-        
-        // DIRECT DISPLACEMENT
-        const pushDistance = baseForce * totalFalloff * 0.6;
-        point.x += nx * pushDistance;
-        point.y += ny * pushDistance;
-        
-        // Momentum
-        point.vx = nx * baseForce * totalFalloff * 1.2;
-        point.vy = ny * baseForce * totalFalloff * 1.2;
-      }
-    }
+  // The element's border-radius in px, capped at a circle
+  function cornerRadius(element, rect) {
+    const half = Math.min(rect.width, rect.height) / 2;
+    const value = getComputedStyle(element).borderTopLeftRadius;
+    const px = value.endsWith("%") ? (parseFloat(value) / 100) * half * 2 : parseFloat(value) || 0;
+    return Math.min(half, px);
   }
 
-  function avoidLetterBounds(point) {
-    // Check if particle is inside or near letter bounding boxes
-    if (!window.LETTER_BOUNDS || window.LETTER_BOUNDS.length === 0) {
-      return; // No letter bounds available yet
-    }
-
-    for (const bounds of window.LETTER_BOUNDS) {
-      // Add padding around letter bounds for influence zone
-      const padding = 8;
-      const expandedBounds = {
-        left: bounds.left - padding,
-        right: bounds.right + padding,
-        top: bounds.top - padding,
-        bottom: bounds.bottom + padding
-      };
-
-      // Check if particle is in the expanded bounding box
-      if (point.x > expandedBounds.left && point.x < expandedBounds.right &&
-          point.y > expandedBounds.top && point.y < expandedBounds.bottom) {
-        
-        // Calculate nearest edge and push particle away
-        const distLeft = point.x - expandedBounds.left;
-        const distRight = expandedBounds.right - point.x;
-        const distTop = point.y - expandedBounds.top;
-        const distBottom = expandedBounds.bottom - point.y;
-
-        // Find the closest edge
-        const minDist = Math.min(distLeft, distRight, distTop, distBottom);
-        
-        // Push away from nearest edge
-        let pushX = 0, pushY = 0;
-        const pushForce = 1.2;
-
-        if (minDist === distLeft) {
-          pushX = -pushForce; // Push left
-        } else if (minDist === distRight) {
-          pushX = pushForce; // Push right
-        } else if (minDist === distTop) {
-          pushY = -pushForce; // Push up
-        } else if (minDist === distBottom) {
-          pushY = pushForce; // Push down
-        }
-
-        // Apply push
-        point.x += pushX;
-        point.y += pushY;
-        point.vx += pushX;
-        point.vy += pushY;
-      }
-    }
-  }
-
-  // Build (or rebuild) the world-space bounds cache for all [data-particle-disturbance]
+  // Build (or rebuild) the bounds cache for all [data-particle-disturbance]
   // elements. World-space = viewport-relative rect + scrollOffset. This value is
   // scroll-invariant: as the user scrolls, rect.top and scrollY change by the same
-  // ΔY, so their sum stays constant. The cache therefore only needs invalidating on
-  // resize (when layout reflows). Called once at init and on every resize event.
+  // ΔY, so their sum stays constant. Fixed elements are the exception and are kept
+  // in viewport space instead. The cache therefore only needs invalidating when
+  // layout changes — see the observers below, which batch that to once per frame.
   function buildElementBoundsCache() {
-    const elements = document.querySelectorAll('[data-particle-disturbance]');
+    const elements = document.querySelectorAll(DISTURBANCE_SELECTOR);
     cachedElementBounds = [];
 
     const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
@@ -275,6 +275,9 @@
 
     for (const element of elements) {
       const rect = element.getBoundingClientRect();
+      // Hidden (display: none) — nothing to avoid until it shows, which the
+      // ResizeObserver below reports
+      if (!rect.width && !rect.height) continue;
 
       // Derive per-element config from data attributes / classList (same logic as before)
       let padding = 8;
@@ -292,280 +295,573 @@
         pushForce = 0.25;
       }
 
-      // Store pre-expanded world-space bounds so the hot path needs no arithmetic
+      // Corner radius of the expanded box: a circle is all corner; rounded
+      // follows the element's own border-radius, grown by the padding
+      const maxRadius = Math.min(rect.width, rect.height) / 2 + padding;
+      let radius = 0;
+      const shape = element.dataset.particleDisturbanceShape;
+      if (shape === 'circle') {
+        radius = maxRadius;
+      } else if (shape === 'rounded') {
+        radius = cornerRadius(element, rect) + padding;
+      }
+
+      const fixed = isFixed(element);
+      const offsetX = fixed ? 0 : scrollX;
+      const offsetY = fixed ? 0 : scrollY;
+
+      // Store pre-expanded bounds so the hot path needs no arithmetic
       cachedElementBounds.push({
-        left:      rect.left   + scrollX - padding,
-        right:     rect.right  + scrollX + padding,
-        top:       rect.top    + scrollY - padding,
-        bottom:    rect.bottom + scrollY + padding,
-        pushForce
+        left:      rect.left   + offsetX - padding,
+        right:     rect.right  + offsetX + padding,
+        top:       rect.top    + offsetY - padding,
+        bottom:    rect.bottom + offsetY + padding,
+        pushForce,
+        radius,
+        fixed
       });
     }
+    post({ type: "bounds", bounds: cachedElementBounds });
+    return elements;
   }
 
-  // Generic element disturbance - applies to any element with bounding box.
-  // Uses cachedElementBounds — no DOM queries or getBoundingClientRect per frame.
-  function applyElementDisturbance(point) {
-    if (cachedElementBounds.length === 0) return;
+  /* =========================
+     Attractors
+     [data-particle-attract] elements draw nearby particles in around
+     their outline (see bg-field-physics.js):
+       data-particle-attract-strength  px per frame at the outline (default 1)
+       data-particle-attract-radius    reach beyond the outline in px (default 160)
+       data-particle-attract-mode      "orbit" to circle the element instead
+       data-particle-attract-shape     "circle"; otherwise the element's border-radius
+       data-particle-attract-on        "hover" — only while hovered or focused
+  ========================= */
+
+  const ATTRACT_SELECTOR = "[data-particle-attract]";
+  const HOVER_ATTRACT_SELECTOR = '[data-particle-attract-on="hover"]';
+
+  let attractorElements = [];
+  let cachedAttractors = []; // parallel to attractorElements
+  const hovered = new Set();
+  const focused = new Set();
+
+  const isEngaged = (element) =>
+    element.dataset.particleAttractOn !== "hover" || hovered.has(element) || focused.has(element);
+
+  const numberAttr = (value, fallback) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : fallback;
+  };
+
+  // Same coordinate rules as buildElementBoundsCache(), without padding
+  function buildAttractorCache() {
+    const elements = document.querySelectorAll(ATTRACT_SELECTOR);
+    attractorElements = [];
+    cachedAttractors = [];
 
-    // Convert canvas-relative point to document-space coordinates
     const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
     const scrollY = window.pageYOffset || document.documentElement.scrollTop;
-    const pointWorldX = point.x + scrollX;
-    const pointWorldY = point.y + scrollY;
-
-    for (const bounds of cachedElementBounds) {
-      const { left, right, top, bottom, pushForce } = bounds;
-
-      // Check if particle is near or inside the expanded bounding box
-      if (pointWorldX > left && pointWorldX < right &&
-          pointWorldY > top  && pointWorldY < bottom) {
-
-        // Calculate distance to each edge
-        const distLeft   = pointWorldX - left;
-        const distRight  = right  - pointWorldX;
-        const distTop    = pointWorldY - top;
-        const distBottom = bottom - pointWorldY;
-
-        const minDist = Math.min(distLeft, distRight, distTop, distBottom);
-
-        // Determine push direction based on nearest edge
-        let pushX = 0, pushY = 0;
-
-        if      (minDist === distLeft)   pushX = -pushForce;
-        else if (minDist === distRight)  pushX =  pushForce;
-        else if (minDist === distTop)    pushY = -pushForce;
-        else if (minDist === distBottom) pushY =  pushForce;
-
-        // Apply push with bounce effect - particles bounce off the element
-        point.x += pushX;
-        point.y += pushY;
-        // Bounce: preserve existing velocity direction but add repulsion
-        // This creates a bouncy, scattered effect instead of clustering
-        const bounceStrength = 0.8;
-        point.vx = point.vx * 0.92 + pushX * bounceStrength;
-        point.vy = point.vy * 0.92 + pushY * bounceStrength;
-      } else {
-        // Particle is outside bounds - check if moving toward element and apply preventative force
-        // Find closest point on element to particle
-        const closestX = Math.max(left, Math.min(pointWorldX, right));
-        const closestY = Math.max(top,  Math.min(pointWorldY, bottom));
-
-        const dx   = closestX - pointWorldX;
-        const dy   = closestY - pointWorldY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        // Only apply if particle is reasonably close (within influence radius)
-        if (dist < 60 && dist > 0) {
-          // Check if particle is moving toward element
-          const velDotProduct = point.vx * dx + point.vy * dy;
-
-          if (velDotProduct > 0) {
-            // Particle is moving toward element - apply repulsive force
-            const nx = dx / dist;
-            const ny = dy / dist;
-
-            // Falloff: stronger when closer
-            const distanceFalloff = Math.max(0, 1 - (dist / 60));
-            const repelForce = pushForce * distanceFalloff * 0.35;
-
-            // Apply repulsion to push particle away
-            point.vx += -nx * repelForce;
-            point.vy += -ny * repelForce;
-          }
-        }
-      }
+
+    for (const element of elements) {
+      const rect = element.getBoundingClientRect();
+      if (!rect.width && !rect.height) continue; // hidden
+
+      const fixed = isFixed(element);
+      const offsetX = fixed ? 0 : scrollX;
+      const offsetY = fixed ? 0 : scrollY;
+      const { particleAttractStrength, particleAttractRadius, particleAttractMode, particleAttractShape } = element.dataset;
+
+      attractorElements.push(element);
+      cachedAttractors.push({
+        left:     rect.left   + offsetX,
+        right:    rect.right  + offsetX,
+        top:      rect.top    + offsetY,
+        bottom:   rect.bottom + offsetY,
+        radius:   particleAttractShape === "circle"
+          ? Math.min(rect.width, rect.height) / 2
+          : cornerRadius(element, rect),
+        reach:    numberAttr(particleAttractRadius, 160),
+        strength: numberAttr(particleAttractStrength, 1),
+        orbit:    particleAttractMode === "orbit",
+        fixed,
+        active:   isEngaged(element)
+      });
     }
+    post({ type: "attractors", attractors: cachedAttractors });
+    return elements;
+  }
+
+  // Flip one attractor's active flag without re-measuring anything
+  function syncEngaged(element) {
+    const i = attractorElements.indexOf(element);
+    if (i === -1) return;
+    cachedAttractors[i].active = isEngaged(element);
+    post({ type: "attractors", attractors: cachedAttractors });
   }
-  
-  function applyDisturbanceForce(point) {
-    // Apply disturbance from page elements (always, independent of mouse)
-    applyElementDisturbance(point);
 
-    // Apply disturbance from mouse (only if mouse is active)
-    if (!isMouseActive) return;
-    applyDisturbanceFromSource(point, mouseWorldX, mouseWorldY, 1.0);
+  const hoverAttractor = (node) => (node instanceof Element ? node.closest(HOVER_ATTRACT_SELECTOR) : null);
+
+  function watchEngagement(enter, leave, set) {
+    document.addEventListener(enter, (e) => {
+      const element = hoverAttractor(e.target);
+      if (!element || set.has(element)) return;
+      set.add(element);
+      syncEngaged(element);
+    }, { passive: true });
+    document.addEventListener(leave, (e) => {
+      const element = hoverAttractor(e.target);
+      // Moving between the element's own children isn't leaving it
+      if (!element || element.contains(e.relatedTarget)) return;
+      set.delete(element);
+      syncEngaged(element);
+    }, { passive: true });
+  }
+
+  watchEngagement("pointerover", "pointerout", hovered);
+  watchEngagement("focusin", "focusout", focused);
+
+  // Measure everything the field reacts to and keep watching it
+  function measureElements() {
+    const avoided = buildElementBoundsCache();
+    const attracting = buildAttractorCache();
+    trackElements([...avoided, ...attracting]);
   }
 
   /* =========================
-     Physics / Update
+     Bounds observers
+     Elements that appear, disappear, change their data-particle-disturbance*
+     or data-particle-attract* attributes or resize (expanding resume items, lazy images, font reflow)
+     all schedule a rebuild. The body is observed too, because content
+     growing above an element moves it without resizing it. Any number of
+     changes within a frame cost one rebuild.
   ========================= */
 
-  function updatePhysics(energy) {
-    const speed = CONFIG.SPEED;
-    const baseMx = mx - 0.5;
-    const baseMy = my - 0.5;
-    const sf = scrollForce; // local alias
+  let boundsFrame = 0;
 
-    for (let i = 0; i < points.length; i++) {
-      const p = points[i];
+  function scheduleBoundsRebuild() {
+    if (boundsFrame) return;
+    boundsFrame = requestAnimationFrame(() => {
+      boundsFrame = 0;
+      measureElements();
+    });
+  }
 
-      // Apply mouse disturbance field FIRST (before position updates)
-      applyDisturbanceForce(p);
+  // ResizeObserver reports every target once when observed; those first
+  // entries describe the layout just measured, so they are skipped
+  let trackedElements = new Set();
+  const initialResize = new Set();
+  const resizeObserver = typeof ResizeObserver === "function"
+    ? new ResizeObserver((entries) => {
+        if (entries.some((entry) => !initialResize.delete(entry.target))) {
+          scheduleBoundsRebuild();
+        }
+      })
+    : null;
+
+  function trackElements(elements) {
+    if (!resizeObserver) return;
+    const next = new Set(elements);
+    next.add(document.body);
+    for (const el of trackedElements) {
+      if (!next.has(el)) resizeObserver.unobserve(el);
+    }
+    for (const el of next) {
+      if (!trackedElements.has(el)) {
+        initialResize.add(el);
+        resizeObserver.observe(el);
+      }
+    }
+    trackedElements = next;
+  }
 
-      // Base velocity
-      p.x += p.vx * speed * energy;
-      p.y += p.vy * speed * energy;
+  const TRACKED_SELECTOR = `${DISTURBANCE_SELECTOR}, ${ATTRACT_SELECTOR}`;
+  const touchesTracked = (node) =>
+    node.nodeType === Node.ELEMENT_NODE &&
+    (node.matches(TRACKED_SELECTOR) || node.querySelector(TRACKED_SELECTOR) !== null);
+
+  new MutationObserver((records) => {
+    const relevant = records.some((record) =>
+      record.type === "attributes" ||
+      [...record.addedNodes].some(touchesTracked) ||
+      [...record.removedNodes].some(touchesTracked));
+    if (relevant) scheduleBoundsRebuild();
+  }).observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: [
+      "data-particle-disturbance",
+      "data-particle-disturbance-padding",
+      "data-particle-disturbance-force",
+      "data-particle-disturbance-shape",
+      "data-particle-attract",
+      "data-particle-attract-strength",
+      "data-particle-attract-radius",
+      "data-particle-attract-mode",
+      "data-particle-attract-shape",
+      "data-particle-attract-on"
+    ]
+  });
 
-      // Mouse parallax (subtle)
-      p.x += baseMx * p.z * (0.15 + energy * 0.25);
-      p.y += baseMy * p.z * (0.15 + energy * 0.25);
+  // Cached avoidance bounds (document space unless `fixed`), e.g. for tests
+  Object.defineProperty(window.FIELD, "elementBounds", {
+    get: () => cachedElementBounds,
+    enumerable: true,
+    configurable: true
+  });
 
-      // Scroll parallax (controlled)
-      p.y -= sf * p.z * (12 + energy * 25);
-      p.x += sf * p.z * (2 + energy * 6);
+  // Cached attractors, same coordinates; `active` follows hover / focus
+  Object.defineProperty(window.FIELD, "attractors", {
+    get: () => cachedAttractors,
+    enumerable: true,
+    configurable: true
+  });
 
-      // Wrap edges
-      if (p.x < 0) p.x = w;
-      else if (p.x > w) p.x = 0;
-      if (p.y < 0) p.y = h;
-      else if (p.y > h) p.y = 0;
-    }
+  /* =========================
+     Forces
+     Per-point forces run inside the host (see bg-field-physics.js). Custom
+     ones are sent as source text, so they must not close over outer
+     variables — pass data through `params` (structured-cloneable):
+
+       FIELD.addForce("wind", (p, ctx, params) => {
+         p.x += params.strength * ctx.energy;
+       }, { priority: 5, params: { strength: 0.4 } });
+
+       FIELD.forces.mouse.enabled = false;   // built-ins toggle too
+  ========================= */
+
+  // Built-in forces and their priorities (higher runs first)
+  const BUILTIN_FORCES = { formation: 40, element: 30, attract: 25, mouse: 20, scroll: 10 };
+
+  const forceRegistry = new Map(); // name → { name, source?, priority, enabled, params }
+  window.FIELD.forces = {};
+
+  function registerForce(descriptor) {
+    const { name } = descriptor;
+    forceRegistry.set(name, descriptor);
+
+    // Console-facing view: read-only apart from the enable flag
+    const view = { name, priority: descriptor.priority, builtin: descriptor.source === undefined };
+    Object.defineProperty(view, "enabled", {
+      get: () => descriptor.enabled,
+      set: (value) => {
+        descriptor.enabled = Boolean(value);
+        post({ type: "force", ...descriptor });
+      },
+      enumerable: true
+    });
+    window.FIELD.forces[name] = view;
+    post({ type: "force", ...descriptor });
   }
 
+  Object.entries(BUILTIN_FORCES).forEach(([name, priority]) => {
+    registerForce({ name, priority, enabled: true, params: {} });
+  });
+
+  window.FIELD.addForce = (name, fn, { priority = 0, enabled = true, params = {} } = {}) => {
+    if (typeof fn !== "function") throw new TypeError(`Field force "${name}" must be a function`);
+    if (name in BUILTIN_FORCES) {
+      console.warn(`Field force "${name}" is built in — toggle FIELD.forces.${name}.enabled instead`);
+      return false;
+    }
+    registerForce({ name, source: String(fn), priority, enabled: Boolean(enabled), params });
+    return true;
+  };
+
+  window.FIELD.removeForce = (name) => {
+    if (name in BUILTIN_FORCES) {
+      console.warn(`Field force "${name}" is built in — toggle FIELD.forces.${name}.enabled instead`);
+      return false;
+    }
+    if (!forceRegistry.delete(name)) return false;
+    delete window.FIELD.forces[name];
+    post({ type: "removeForce", name });
+    return true;
+  };
+
   /* =========================
-     Rendering helpers
+     Theme
+     Mood stops come from --field-mood-1, --field-mood-2, … (as many as
+     are defined) and the background tint from --field-bg, in any CSS
+     colour syntax. Re-read when the colour scheme or <html data-theme>
+     changes; the host keeps its built-in palette for anything missing.
   ========================= */
 
-  function drawBackground() {
-    ctx.fillStyle = "rgba(5,10,20,0.08)";
-    ctx.fillRect(0, 0, w, h);
+  const colorProbe = document.createElement("canvas").getContext("2d");
+
+  // Any CSS colour → { r, g, b, a } (channels 0–255, alpha 0–1), or null
+  function parseColor(value) {
+    if (!value || !CSS.supports("color", value)) return null;
+    colorProbe.fillStyle = "#000";
+    colorProbe.fillStyle = value;
+    const style = colorProbe.fillStyle; // serialised as "#rrggbb" or "rgba(r, g, b, a)"
+    if (style[0] === "#") {
+      const n = parseInt(style.slice(1), 16);
+      return { r: n >> 16, g: (n >> 8) & 255, b: n & 255, a: 1 };
+    }
+    if (!style.startsWith("rgb")) return null; // wide-gamut colours aren't supported
+    const [r, g, b, a = 1] = style.match(/[\d.]+/g).map(Number);
+    return { r, g, b, a };
   }
 
-  function drawConnections(mood, clusterScale) {
-    const linkDist = CONFIG.LINK_DIST;
-    const lineAlpha = CONFIG.LINE_ALPHA;
+  function rgbToHsl({ r, g, b }) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const d = max - min;
+    const l = (max + min) / 2;
+    let h = 0, s = 0;
+    if (d) {
+      s = d / (1 - Math.abs(2 * l - 1));
+      if (max === r) h = ((g - b) / d) % 6;
+      else if (max === g) h = (b - r) / d + 2;
+      else h = (r - g) / d + 4;
+      h = (h * 60 + 360) % 360;
+    }
+    return { h, s: s * 100, l: l * 100 };
+  }
 
-    for (let i = 0; i < points.length; i++) {
-      const p1 = points[i];
-      for (let j = i + 1; j < points.length; j++) {
-        const p2 = points[j];
-        const dx = p1.x - p2.x;
-        const dy = p1.y - p2.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
+  function readTheme() {
+    const styles = getComputedStyle(document.documentElement);
+    const moods = [];
+    for (let i = 1; ; i++) {
+      const color = parseColor(styles.getPropertyValue(`--field-mood-${i}`).trim());
+      if (!color) break;
+      moods.push(rgbToHsl(color));
+    }
+    return { moods, background: parseColor(styles.getPropertyValue("--field-bg").trim()) };
+  }
 
-        const sameCluster = p1.cluster === p2.cluster;
-        const clusterBias = lerp(1.0, sameCluster ? 1.6 : 0.7, clusterScale);
+  function applyTheme() {
+    post({ type: "theme", ...readTheme() });
+    if (!running) drawStatic();
+  }
 
-        if (dist < linkDist * clusterBias) {
-          const alpha = (1 - dist / (linkDist * clusterBias)) * lineAlpha;
-          const hue = mood.h + p1.z * 18 + Math.sin(t + p1.x * 0.002) * 4;
+  window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", applyTheme);
+  new MutationObserver(applyTheme).observe(document.documentElement, {
+    attributes: true,
+    attributeFilter: ["data-theme"]
+  });
 
-          ctx.strokeStyle = hsl(hue, mood.s, mood.l, alpha);
-          ctx.lineWidth = 0.6;
-          ctx.beginPath();
-          ctx.moveTo(p1.x, p1.y);
-          ctx.lineTo(p2.x, p2.y);
-          ctx.stroke();
-        }
-      }
+  /* =========================
+     Simulation host
+  ========================= */
+
+  function initMessage(offscreen) {
+    return {
+      type: "init",
+      canvas: offscreen,
+      width: w,
+      height: h,
+      dpr,
+      seed,
+      field: { ...fieldValues },
+      disturbance: { ...DISTURBANCE },
+      bounds: cachedElementBounds,
+      attractors: cachedAttractors,
+      scroll: {
+        x: window.pageXOffset || document.documentElement.scrollLeft,
+        y: window.pageYOffset || document.documentElement.scrollTop
+      },
+      alpha: particleAlpha,
+      forces: Array.from(forceRegistry.values()),
+      theme: readTheme()
+    };
+  }
+
+  function onHostMessage(msg) {
+    if (msg.type === "ready") {
+      renderer = msg.renderer;
+      // Loop state may have changed while the host was loading
+      if (running && !recording) post({ type: "start" });
+      else drawStatic();
+      emit("ready", { renderer, thread });
+    } else if (msg.type === "frame") {
+      // Drop frames that were already in flight when the loop was stopped
+      if (!running) return;
+      window.FIELD.stats.frames++;
+      window.FIELD.stats.workMs += msg.workMs;
+      emit("tick");
+    } else if (msg.type === "captured") {
+      const pending = captures.get(msg.id);
+      captures.delete(msg.id);
+      if (!pending) return;
+      if (msg.error) pending.reject(new Error(msg.error));
+      else pending.resolve(msg.bitmap);
+    } else if (msg.type === "released") {
+      endFormation();
+    } else if (msg.type === "quality") {
+      quality = msg.name;
+      emit("qualitychange", { quality });
+    } else if (msg.type === "forceError") {
+      // The host has already switched the force off; mirror that here
+      const descriptor = forceRegistry.get(msg.name);
+      if (descriptor) descriptor.enabled = false;
+      console.error(`Field force "${msg.name}" failed and was disabled: ${msg.message}`);
     }
   }
 
-  function drawNodes(mood, clusterScale) {
-    for (let i = 0; i < points.length; i++) {
-      const p = points[i];
-      const size = CONFIG.NODE_SIZE + p.z * CONFIG.DEPTH;
-      const clusterHueOffset = (p.cluster - 2.5) * 12 * clusterScale;
+  // No host could start: the canvas stays empty and "ready" never fires,
+  // so the page simply has no moving field
+  function hostFailed(err) {
+    send = null;
+    const reason = err?.message || String(err);
+    console.warn(`Background field unavailable: ${reason}`);
+    emit("unavailable", { reason });
+  }
 
-      const hue = mood.h + clusterHueOffset + p.z * 18 + Math.cos(t + p.y * 0.002) * 3;
-      const light = mood.l + p.z * 18;
+  // Main-thread fallback: same host, same messages, no worker in between
+  function startLocalHost() {
+    import("/js/bg-field-sim.js").then(({ createFieldHost }) => {
+      const host = createFieldHost(canvas, onHostMessage);
+      thread = "main";
+      send = host.handle;
+      send(initMessage());
+    }).catch(hostFailed);
+  }
 
-      ctx.beginPath();
-      ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
-      ctx.fillStyle = hsl(hue, mood.s, light, CONFIG.BASE_ALPHA + p.z * 0.25);
-      ctx.fill();
+  function startWorkerHost() {
+    let worker;
+    try {
+      worker = new Worker("/js/bg-field-worker.js", { type: "module" });
+    } catch {
+      return false;
     }
+
+    // Module workers are unsupported on some OffscreenCanvas browsers; while
+    // the canvas is still ours we can fall back to the main thread.
+    // Once the canvas is transferred there is nothing to fall back to; a
+    // host that fails before "ready" is shut down rather than left hanging.
+    worker.addEventListener("error", (e) => {
+      if (send && renderer) return;
+      worker.terminate();
+      if (send) hostFailed(e.message || "the worker failed to start");
+      else startLocalHost();
+    });
+
+    worker.addEventListener("message", (e) => {
+      if (e.data.type === "loaded") {
+        const offscreen = canvas.transferControlToOffscreen();
+        thread = "worker";
+        send = (msg) => worker.postMessage(msg);
+        worker.postMessage(initMessage(offscreen), [offscreen]);
+        return;
+      }
+      onHostMessage(e.data);
+    });
+    return true;
   }
 
   /* =========================
      Main loop
+     The host owns the frame loop; this side only decides whether it runs.
   ========================= */
 
   function drawStatic() {
     if (!active) return;
-    ctx.clearRect(0, 0, w, h);
-    drawBackground();
-    const moodIndex = clamp(window.FIELD.spectrum, 0, 1) * (MOODS.length - 1);
-    const i0 = Math.floor(moodIndex);
-    const i1 = Math.min(i0 + 1, MOODS.length - 1);
-    const mood = lerpColor(MOODS[i0], MOODS[i1], moodIndex - i0);
-    const clusterScale = clamp(window.FIELD.clusters, 0, 1);
-    ctx.globalAlpha = particleAlpha;
-    drawConnections(mood, clusterScale);
-    drawNodes(mood, clusterScale);
-    ctx.globalAlpha = 1;
-  }
-
-  function draw() {
-    if (!active || reducedMotion || paused || hidden) {
+    post({ type: "drawStatic" });
+  }
+
+  function syncLoop() {
+    const shouldRun = active && !reducedMotion && !paused && !hidden;
+    if (shouldRun && !running) {
+      running = true;
+      if (!recording) post({ type: "start" });
+      emit("play");
+    } else if (!shouldRun && running) {
       running = false;
-      return;
+      post({ type: "stop" });
+      emit("pause");
     }
-    ctx.clearRect(0, 0, w, h);
-    t += 0.002;
-
-    drawBackground();
+  }
 
-    // Scroll physics (decay)
-    scrollForce += scrollVelocity * 0.002;
-    scrollForce *= 0.9;
+  function setAlpha(value) {
+    particleAlpha = value;
+    post({ type: "alpha", value });
+  }
 
-    // Mood interpolation
-    const moodIndex = clamp(window.FIELD.spectrum, 0, 1) * (MOODS.length - 1);
-    const i0 = Math.floor(moodIndex);
-    const i1 = Math.min(i0 + 1, MOODS.length - 1);
-    const mix = moodIndex - i0;
-    const mood = lerpColor(MOODS[i0], MOODS[i1], mix);
+  /* =========================
+     Interaction
+  ========================= */
 
-    const energy = 0.4 + window.FIELD.energy * 0.8; // bounded
-    const clusterScale = clamp(window.FIELD.clusters, 0, 1);
+  function pointerSources() {
+    return Array.from(pointers.values(), ({ x, y, vx, vy, intensity }) => ({ x, y, vx, vy, intensity }));
+  }
 
-    updatePhysics(energy);
-    ctx.globalAlpha = particleAlpha;
-    drawConnections(mood, clusterScale);
-    drawNodes(mood, clusterScale);
-    ctx.globalAlpha = 1;
+  function postPointers() {
+    post({
+      type: "pointers",
+      parallax: { x: parallaxX, y: parallaxY },
+      sources: pointerSources()
+    });
+  }
 
-    requestAnimationFrame(draw);
+  function dropPointer(id) {
+    const source = pointers.get(id);
+    if (!source) return;
+    clearTimeout(source.timeout);
+    pointers.delete(id);
+    postPointers();
   }
 
-  /* =========================
-     Interaction
-  ========================= */
+  function trackPointer(e) {
+    let source = pointers.get(e.pointerId);
+    if (!source) {
+      source = { x: e.clientX, y: e.clientY, vx: 0, vy: 0, intensity: 1, timeout: null };
+      pointers.set(e.pointerId, source);
+    }
+
+    // Per-pointer velocity for disturbance intensity
+    source.vx = e.clientX - source.x;
+    source.vy = e.clientY - source.y;
+    source.x = e.clientX;
+    source.y = e.clientY;
+
+    // Pen pressure (0–1) scales intensity around the mouse/touch baseline
+    source.intensity = e.pointerType === "pen" ? 0.5 + e.pressure : 1;
+
+    if (e.isPrimary) {
+      parallaxX = e.clientX;
+      parallaxY = e.clientY;
+    }
+    postPointers();
+
+    // Deactivate this source after 1s without movement
+    clearTimeout(source.timeout);
+    source.timeout = setTimeout(() => dropPointer(e.pointerId), POINTER_IDLE_MS);
+  }
 
   // Attach listeners with a small delay to ensure DOM is ready
   setTimeout(() => {
-    window.addEventListener("mousemove", (e) => {
-      mx = e.clientX / w;
-      my = e.clientY / h;
-
-      // Calculate mouse velocity for disturbance intensity
-      mouseVelocityX = e.clientX - mouseWorldX;
-      mouseVelocityY = e.clientY - mouseWorldY;
-      const mouseSpeed = Math.sqrt(mouseVelocityX * mouseVelocityX + mouseVelocityY * mouseVelocityY);
-
-      // Update world coordinates for disturbance field
-      mouseWorldX = e.clientX;
-      mouseWorldY = e.clientY;
-
-      // Mark mouse as active and reset inactivity timer
-      isMouseActive = true;
-      
-      if (mouseInactivityTimeout) clearTimeout(mouseInactivityTimeout);
-
-      // Deactivate disturbance after 1s of no mouse movement
-      mouseInactivityTimeout = setTimeout(() => {
-        isMouseActive = false;
-        mouseInactivityTimeout = null;
-      }, 1000);
-    });
+    window.addEventListener("pointermove", trackPointer, { passive: true });
+    window.addEventListener("pointerdown", trackPointer, { passive: true });
+    // Lifted touches and pens leave immediately; a mouse lingers until idle
+    window.addEventListener("pointerup", (e) => {
+      if (e.pointerType !== "mouse") dropPointer(e.pointerId);
+    }, { passive: true });
+    window.addEventListener("pointercancel", (e) => dropPointer(e.pointerId), { passive: true });
   }, 100);
 
+  // Active pointer sources in viewport coordinates, e.g. for letter-disturbance.js
+  Object.defineProperty(window.FIELD, "pointers", {
+    get: pointerSources,
+    enumerable: true,
+    configurable: true
+  });
+
+  function postScroll() {
+    post({
+      type: "scroll",
+      x: window.pageXOffset || document.documentElement.scrollLeft,
+      y: window.pageYOffset || document.documentElement.scrollTop,
+      velocity: scrollVelocity
+    });
+  }
+
   window.addEventListener("scroll", () => {
     const currentScroll = window.scrollY;
     scrollVelocity = currentScroll - lastScrollY;
     lastScrollY = currentScroll;
+    postScroll();
 
     // Clear existing timeout
     if (scrollTimeout) clearTimeout(scrollTimeout);
@@ -574,33 +870,35 @@
     scrollTimeout = setTimeout(() => {
       scrollVelocity = 0;
       scrollTimeout = null;
+      postScroll();
     }, 100);
   });
 
   window.addEventListener("resize", () => {
     resize();
     createPoints();
-    buildElementBoundsCache();
+    scheduleBoundsRebuild();
+  });
+
+  // A background tab gets no frames anyway; stopping the host for it means
+  // "start" on return resets the quality governor's frame samples, so the
+  // gap isn't read as a slow frame. Play state (and its events) is unchanged.
+  document.addEventListener("visibilitychange", () => {
+    if (!running || recording) return;
+    post({ type: document.hidden ? "stop" : "start" });
   });
 
   window.addEventListener("bg-mode-change", (e) => {
     active = e.detail.mode === "canvas";
-    if (active && !running && !reducedMotion) {
-      requestAnimationFrame(draw);
-      running = true;
-    }
+    syncLoop();
   });
 
   // Sync reducedMotion flag and restart/stop loop on live OS preference changes
   window.FIELD._motionQuery.addEventListener('change', (e) => {
     reducedMotion = e.matches;
-    if (!reducedMotion && active && !running) {
-      running = true;
-      requestAnimationFrame(draw);
-    } else if (reducedMotion && active) {
-      // Loop will exit on its next frame; render a static frame in its place
-      requestAnimationFrame(drawStatic);
-    }
+    syncLoop();
+    // Loop has been stopped; render a static frame in its place
+    if (reducedMotion) drawStatic();
   });
 
   /* =========================
@@ -608,13 +906,13 @@
   ========================= */
 
   resize();
-  createPoints();
-  buildElementBoundsCache();
-  if (active && !running && !reducedMotion) {
-    running = true;
-    requestAnimationFrame(draw);
-  }
-  
+  measureElements();
+  syncLoop();
+
+  const canTransfer = typeof canvas.transferControlToOffscreen === "function" &&
+    typeof Worker === "function";
+  if (!canTransfer || !startWorkerHost()) startLocalHost();
+
   // Helper function for tweaking
   window.DISTURBANCE_HELP = () => {
     console.log(`
@@ -644,6 +942,29 @@ Attributes:
 - data-particle-disturbance: Enables avoidance (required)
 - data-particle-disturbance-padding: Influence zone around element (default: 8px)
 - data-particle-disturbance-force: Push force magnitude (default: 1.2)
+- data-particle-disturbance-shape: "circle" or "rounded" (default: rectangle)
+
+ELEMENT ATTRACTION:
+Add data-particle-attract to draw particles in around an element:
+<a data-particle-attract
+   data-particle-attract-mode="orbit"
+   data-particle-attract-on="hover">
+
+Attributes:
+- data-particle-attract-strength: Pull at the outline (default: 1px/frame)
+- data-particle-attract-radius: Reach beyond the outline (default: 160px)
+- data-particle-attract-mode: "orbit" to circle the element
+- data-particle-attract-shape: "circle" (default: the element's border-radius)
+- data-particle-attract-on: "hover" to pull only while hovered or focused
+
+SECTION MOODS:
+Give a page section its own look while it fills the viewport:
+<section data-field-energy="0.2"
+         data-field-spectrum="0.7"
+         data-field-clusters="0.5">
+
+Values are 0-1; omitted ones fall back to the page's starting look.
+FIELD.choreography = false hands the field back to the dials.
 
 Examples:
 - Increase radius: window.DISTURBANCE_CONFIG.RADIUS = 50
@@ -655,8 +976,6 @@ Current config:
     console.table(window.DISTURBANCE_CONFIG);
   };
   
-  if (active && reducedMotion) drawStatic();
-
   // Dev helper: preview a fade-in from the browser console.
   // Usage: FIELD.testFade()        — default 400ms
   //        FIELD.testFade(800)     — custom duration
@@ -671,39 +990,46 @@ Current config:
 
   /* =========================
      Playback control API
-     Consumed by bg-controls.js
+     Consumed by bg-controls.js (kept in sync via the events above)
   ========================= */
 
   window.FIELD.pause = () => {
     if (!paused) {
       paused = true;
+      syncLoop();
       drawStatic();
     }
   };
 
   window.FIELD.play = () => {
-    if (paused && active && !reducedMotion) {
+    // Hidden also stops the loop, so "play" brings a hidden field back too
+    if ((paused || hidden) && active && !reducedMotion) {
       paused = false;
       if (hidden) {
         window.FIELD.setVisible(true);
-      } else if (!running) {
-        running = true;
-        requestAnimationFrame(draw);
+      } else {
+        syncLoop();
       }
     }
   };
 
   window.FIELD.reset = () => {
+    seed = newSeed();
     createPoints();
+    // A shared link on screen should keep describing what's on screen
+    if (HASH_PATTERN.test(location.hash)) window.FIELD.syncHash();
     if (paused) drawStatic();
     // if running, the loop picks up the new points on its next frame
+    emit("reset", { seed });
   };
 
   window.FIELD.setVisible = (visible) => {
     const gen = ++tweenGen; // invalidates any in-flight tween
+    // Announced up front: the fade-out only sets `hidden` once it completes
+    emit("visibilitychange", { visible: Boolean(visible) });
     if (reducedMotion) {
       hidden = !visible;
-      particleAlpha = visible ? 1 : 0;
+      setAlpha(visible ? 1 : 0);
       if (!running) drawStatic();
       return;
     }
@@ -714,24 +1040,21 @@ Current config:
     if (visible) {
       // Restart loop before fading in so particles are animating as they appear
       hidden = false;
-      if (!paused && active && !reducedMotion && !running) {
-        running = true;
-        requestAnimationFrame(draw);
-      }
+      syncLoop();
     }
     function tween(now) {
       if (gen !== tweenGen) return; // superseded by a newer setVisible call
       const progress = Math.min((now - startTime) / duration, 1);
-      particleAlpha = start + (target - start) * progress;
+      setAlpha(start + (target - start) * progress);
       if (!running) drawStatic();
       if (progress < 1) {
         requestAnimationFrame(tween);
       } else {
-        particleAlpha = target;
+        setAlpha(target);
         if (!visible) {
           // Fade complete — kill the loop
           hidden = true;
-          running = false;
+          syncLoop();
         }
       }
     }
@@ -740,4 +1063,629 @@ Current config:
 
   window.FIELD.isPlaying = () => !paused && running;
   window.FIELD.isVisible = () => !hidden;
+
+  /* =========================
+     State snapshots & presets
+     getState() captures everything that defines a look (the four FIELD
+     globals + DISTURBANCE_CONFIG) as plain JSON; applyState() restores it,
+     easing numeric values over `transitionMs` instead of jumping.
+  ========================= */
+
+  const STATE_KEYS = ["energy", "spectrum", "clusters", "density"];
+
+  const PRESETS = {
+    calm: {
+      energy: 0.1,
+      spectrum: 0.15,
+      clusters: 0.2,
+      density: 110,
+      disturbance: { RADIUS: 80, STRENGTH: 25, SPEED_MULT: 0.06 }
+    },
+    storm: {
+      energy: 0.9,
+      spectrum: 0.85,
+      clusters: 0.75,
+      density: 220,
+      disturbance: { RADIUS: 150, STRENGTH: 60, SPEED_MULT: 0.2 }
+    },
+    constellation: {
+      energy: 0.05,
+      spectrum: 0.45,
+      clusters: 1,
+      density: 90,
+      disturbance: { RADIUS: 100, STRENGTH: 20, CONNECTION_RESISTANCE: 0.1 }
+    }
+  };
+
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const easeInOut = (p) => (p < 0.5 ? 2 * p * p : 1 - Math.pow(-2 * p + 2, 2) / 2);
+
+  // Which applyState() call currently owns each tweened key. A newer call only
+  // takes over the keys it sets, so e.g. an energy pulse doesn't freeze a
+  // preset transition's other values halfway.
+  const tweenOwners = {};
+  let stateGen = 0;
+
+  window.FIELD.getState = () => {
+    const state = {};
+    for (const key of STATE_KEYS) state[key] = fieldValues[key];
+    state.disturbance = { ...DISTURBANCE };
+    return state;
+  };
+
+  /**
+   * Restore a snapshot from getState(), or any subset of one.
+   * @param {object} state - { energy, spectrum, clusters, density, disturbance }
+   * @param {{ transitionMs?: number }} [options] - tween duration; 0 (default) jumps
+   * @returns {Promise<void>} resolves when the transition completes or is superseded
+   */
+  window.FIELD.applyState = (state, { transitionMs = 0 } = {}) => {
+    const gen = ++stateGen;
+    const tracks = [];
+
+    for (const key of STATE_KEYS) {
+      if (typeof state[key] !== "number" || state[key] === fieldValues[key]) continue;
+      tracks.push({
+        key,
+        from: fieldValues[key],
+        to: state[key],
+        set: (v) => { window.FIELD[key] = key === "density" ? Math.round(v) : v; }
+      });
+    }
+    for (const [key, value] of Object.entries(state.disturbance || {})) {
+      if (typeof DISTURBANCE[key] !== "number" || typeof value !== "number") continue;
+      if (value === DISTURBANCE[key]) continue;
+      tracks.push({
+        key: `disturbance.${key}`,
+        from: DISTURBANCE[key],
+        to: value,
+        set: (v) => { window.DISTURBANCE_CONFIG[key] = v; }
+      });
+    }
+    for (const track of tracks) tweenOwners[track.key] = gen;
+
+    const duration = reducedMotion ? 0 : transitionMs;
+    const startTime = performance.now();
+
+    return new Promise((resolve) => {
+      function step(now) {
+        const progress = duration > 0 ? Math.min((now - startTime) / duration, 1) : 1;
+        const eased = easeInOut(progress);
+        let owned = 0;
+        for (const track of tracks) {
+          if (tweenOwners[track.key] !== gen) continue; // taken over by a newer call
+          track.set(progress < 1 ? lerp(track.from, track.to, eased) : track.to);
+          owned++;
+        }
+        if (owned && !running) drawStatic();
+        if (owned && progress < 1) requestAnimationFrame(step);
+        else resolve();
+      }
+      step(startTime);
+    });
+  };
+
+  // The site's initial look, so "default" always returns to it
+  PRESETS.default = initialState;
+
+  window.FIELD.presets = Object.keys(PRESETS);
+
+  /**
+   * Apply a built-in preset by name ("calm", "storm", "constellation", "default").
+   * @param {string} name
+   * @param {{ transitionMs?: number }} [options]
+   * @returns {Promise<void>}
+   */
+  window.FIELD.applyPreset = (name, options) => {
+    const preset = PRESETS[name];
+    if (!preset) {
+      console.warn(`Field preset "${name}" not found`);
+      return Promise.resolve();
+    }
+    return window.FIELD.applyState(preset, options);
+  };
+
+  // Layout seed behind the current points (see the #field= hash above)
+  Object.defineProperty(window.FIELD, "seed", {
+    get: () => seed,
+    enumerable: true,
+    configurable: true
+  });
+
+  /**
+   * Write the current look into location.hash without adding a history entry.
+   * @returns {string} the shareable URL
+   */
+  window.FIELD.syncHash = () => {
+    history.replaceState(null, "", location.pathname + location.search + encodeHash());
+    return location.href;
+  };
+
+  // Pasting a #field= link into an open tab rebuilds exactly what a fresh
+  // load would: values first, then the points from the shared seed.
+  window.addEventListener("hashchange", () => {
+    const next = decodeHash(location.hash);
+    if (!next) return;
+    window.FIELD.choreography = false;
+    window.FIELD.applyState(next.values);
+    if (next.seed !== null) seed = next.seed;
+    createPoints();
+    if (!running) drawStatic();
+  });
+
+  /* =========================
+     Section choreography
+     Page sections declare a mood with data-field-energy / -spectrum /
+     -clusters (0–1). Whichever section shows the most of itself in the
+     viewport wins, and the field eases toward its values; keys it leaves
+     out return to the page's starting look. A shared #field= link or a
+     hand on the dials turns this off for the rest of the visit.
+  ========================= */
+
+  const SECTION_KEYS = ["energy", "spectrum", "clusters"];
+  const SECTION_SELECTOR = SECTION_KEYS.map((key) => `[data-field-${key}]`).join(", ");
+  const SECTION_TRANSITION_MS = 1200;
+
+  const sectionBase = {};
+  for (const key of SECTION_KEYS) sectionBase[key] = fieldValues[key];
+
+  const sectionVisible = new Map(); // section → visible height in px
+  let currentSection = null;
+  let sectionGen = 0; // applyState() generation of the latest section tween
+  let choreography = !shared;
+
+  function sectionTargets(section) {
+    const targets = {};
+    for (const key of SECTION_KEYS) {
+      const value = parseFloat(section?.getAttribute(`data-field-${key}`));
+      targets[key] = Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : sectionBase[key];
+    }
+    return targets;
+  }
+
+  function followSections() {
+    if (!choreography) return;
+    let best = null;
+    let bestVisible = 0;
+    for (const [section, visible] of sectionVisible) {
+      if (visible > bestVisible) {
+        best = section;
+        bestVisible = visible;
+      }
+    }
+    if (best === currentSection) return;
+    currentSection = best;
+    window.FIELD.applyState(sectionTargets(best), { transitionMs: SECTION_TRANSITION_MS });
+    sectionGen = stateGen;
+  }
+
+  const sections = document.querySelectorAll(SECTION_SELECTOR);
+  if (sections.length && typeof IntersectionObserver === "function") {
+    // Fine-grained thresholds so the visible heights track the scroll closely
+    const thresholds = Array.from({ length: 21 }, (_, i) => i / 20);
+    const sectionObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        sectionVisible.set(entry.target, entry.isIntersecting ? entry.intersectionRect.height : 0);
+      }
+      followSections();
+    }, { threshold: thresholds });
+    sections.forEach((section) => sectionObserver.observe(section));
+  }
+
+  // Active section, or null when none is on screen or choreography is off
+  Object.defineProperty(window.FIELD, "section", {
+    get: () => (choreography ? currentSection : null),
+    enumerable: true,
+    configurable: true
+  });
+
+  // Set false to hand the field back to the caller (field-controls.js does
+  // on the first dial or preset); a section tween in flight stops where it is
+  Object.defineProperty(window.FIELD, "choreography", {
+    get: () => choreography,
+    set: (value) => {
+      choreography = Boolean(value);
+      if (!choreography) {
+        for (const key of SECTION_KEYS) {
+          if (tweenOwners[key] === sectionGen) delete tweenOwners[key];
+        }
+        currentSection = null;
+      } else {
+        followSections();
+      }
+    },
+    enumerable: true,
+    configurable: true
+  });
+
+  /* =========================
+     Audio-reactive mode
+     FIELD.listen() runs a media element or MediaStream through an
+     AnalyserNode and, on every field tick, maps band levels onto the
+     look: bass → energy, mid → clusters, treble → link alpha. Each level
+     lifts its value from where it stood when listening began toward the
+     top of its range, and stopListening() puts everything back.
+  ========================= */
+
+  // Band edges in Hz
+  const AUDIO_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 8000]
+  };
+  const LINK_GAIN_RANGE = [0.5, 2]; // link alpha multiplier at silence / full treble
+
+  let audioContext = null;
+  // A media element can only ever feed one source node, so reuse it
+  const mediaSources = new WeakMap();
+  let listening = null; // { source, analyser, bins, base, monitored }
+
+  function bandLevel(bins, [low, high]) {
+    const hzPerBin = audioContext.sampleRate / 2 / bins.length;
+    const from = Math.max(0, Math.floor(low / hzPerBin));
+    const to = Math.min(bins.length, Math.ceil(high / hzPerBin));
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += bins[i];
+    return to > from ? sum / ((to - from) * 255) : 0;
+  }
+
+  function followAudio() {
+    const { analyser, bins, base } = listening;
+    analyser.getByteFrequencyData(bins);
+    const bass = bandLevel(bins, AUDIO_BANDS.bass);
+    const mid = bandLevel(bins, AUDIO_BANDS.mid);
+    const treble = bandLevel(bins, AUDIO_BANDS.treble);
+    window.FIELD.energy = lerp(base.energy, 1, bass);
+    window.FIELD.clusters = lerp(base.clusters, 1, mid);
+    post({ type: "linkAlpha", value: lerp(LINK_GAIN_RANGE[0], LINK_GAIN_RANGE[1], treble) });
+  }
+
+  /**
+   * Drive the field from audio until stopListening() (or another listen()).
+   * A media element stays audible through the analyser; a MediaStream
+   * (e.g. a microphone) is analysed only, never played back.
+   * @param {HTMLMediaElement|MediaStream} source
+   * @returns {Promise<void>} resolves once the audio context is running
+   */
+  window.FIELD.listen = async (source) => {
+    const isMedia = typeof HTMLMediaElement === "function" && source instanceof HTMLMediaElement;
+    const isStream = typeof MediaStream === "function" && source instanceof MediaStream;
+    if (!isMedia && !isStream) {
+      throw new TypeError("FIELD.listen() needs a media element or a MediaStream");
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) throw new Error("This browser has no Web Audio support");
+
+    window.FIELD.stopListening();
+    audioContext = audioContext || new AudioContextClass();
+
+    let node = isMedia ? mediaSources.get(source) : null;
+    if (isMedia && !node) {
+      node = audioContext.createMediaElementSource(source);
+      mediaSources.set(source, node);
+    }
+    if (isStream) node = audioContext.createMediaStreamSource(source);
+    node.disconnect();
+
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 1024;
+    analyser.smoothingTimeConstant = 0.8;
+    node.connect(analyser);
+    if (isMedia) analyser.connect(audioContext.destination);
+
+    // Sections would fight the music for the same values
+    window.FIELD.choreography = false;
+    listening = {
+      source: node,
+      analyser,
+      bins: new Uint8Array(analyser.frequencyBinCount),
+      base: { energy: fieldValues.energy, clusters: fieldValues.clusters },
+      monitored: isMedia
+    };
+    window.FIELD.on("tick", followAudio);
+    emit("listen", { listening: true });
+
+    if (audioContext.state === "suspended") await audioContext.resume();
+  };
+
+  /**
+   * Stop following audio and restore the values listen() started from.
+   * A media element keeps playing, just no longer through the analyser.
+   */
+  window.FIELD.stopListening = () => {
+    if (!listening) return;
+    const { source, analyser, base, monitored } = listening;
+    listening = null;
+    window.FIELD.off("tick", followAudio);
+    source.disconnect();
+    analyser.disconnect();
+    if (monitored) source.connect(audioContext.destination);
+    window.FIELD.applyState(base);
+    post({ type: "linkAlpha", value: 1 });
+    emit("listen", { listening: false });
+  };
+
+  Object.defineProperty(window.FIELD, "listening", {
+    get: () => listening !== null,
+    enumerable: true,
+    configurable: true
+  });
+
+  /* =========================
+     Formation
+     Shapes become clouds of document-space target points, which the
+     host flies particles into (see bg-field-physics.js): the h1 via
+     FIELD.nameMask (name-field.js), any text, or SVG path data.
+     Under reduced motion the formed shape is drawn once, statically.
+  ========================= */
+
+  const SHAPE_STEP = 6; // px between shape samples
+  const shapeRaster = document.createElement("canvas").getContext("2d", { willReadFrequently: true });
+
+  // Paint onto a viewport-sized raster and collect the filled pixels every
+  // `step` px, along with their bounding box (raster coordinates)
+  function rasterize(paint, step) {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    shapeRaster.canvas.width = width;
+    shapeRaster.canvas.height = height;
+    shapeRaster.fillStyle = "#fff";
+    paint(shapeRaster, width, height);
+
+    const d = shapeRaster.getImageData(0, 0, width, height).data;
+    const samples = [];
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        if (d[(y * width + x) * 4 + 3] <= 20) continue;
+        samples.push({ x, y });
+        box.minX = Math.min(box.minX, x);
+        box.maxX = Math.max(box.maxX, x);
+        box.minY = Math.min(box.minY, y);
+        box.maxY = Math.max(box.maxY, y);
+      }
+    }
+    return { samples, box };
+  }
+
+  // Samples recentred on viewport point (x, y), converted to document space
+  function centerOn({ samples, box }, x, y) {
+    const dx = x - (box.minX + box.maxX) / 2 + window.scrollX;
+    const dy = y - (box.minY + box.maxY) / 2 + window.scrollY;
+    return samples.map((p) => ({ x: p.x + dx, y: p.y + dy }));
+  }
+
+  let formationDone = null; // resolves the pending formation promise
+
+  function endFormation() {
+    if (!formationDone) return;
+    const done = formationDone;
+    formationDone = null;
+    emit("formation", { active: false });
+    done();
+  }
+
+  function startFormation(shape, targets, durationMs) {
+    if (!targets.length || !send) return Promise.resolve();
+
+    endFormation(); // a new shape replaces the current one
+    // With no frames to animate (reduced motion, paused) the shape is
+    // placed instantly and drawn as a static frame
+    post({ type: "form", targets, holdMs: durationMs, instant: !running });
+    emit("formation", { active: true, shape });
+    if (!running) {
+      drawStatic();
+      formationDone = () => {}; // still report the release, whenever it comes
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => { formationDone = resolve; });
+  }
+
+  /**
+   * Fly particles into the h1 ("name"), hold it, then dissolve.
+   * @param {string} shape - "name"
+   * @param {{ durationMs?: number }} [options] - how long the formed shape holds
+   * @returns {Promise<void>} resolves once the particles are released
+   */
+  window.FIELD.form = (shape, { durationMs = 4000 } = {}) => {
+    if (shape !== "name") {
+      console.warn(`Field formation "${shape}" not found`);
+      return Promise.resolve();
+    }
+    return startFormation("name", window.FIELD.nameMask || [], durationMs);
+  };
+
+  /**
+   * Spell `text` with the particles.
+   * @param {string} text
+   * @param {{ font?: string, x?: number, y?: number, durationMs?: number }} [options]
+   *   font is a CSS font shorthand; x / y the viewport centre of the text
+   *   (default: the middle of the viewport)
+   * @returns {Promise<void>}
+   */
+  window.FIELD.formText = (text, {
+    font,
+    x = window.innerWidth / 2,
+    y = window.innerHeight / 2,
+    durationMs = 4000
+  } = {}) => {
+    // Default size: fit the viewport width, capped for short strings
+    const size = Math.round(Math.min(160, (window.innerWidth * 1.6) / Math.max(1, text.length)));
+    const shape = rasterize((ctx, width, height) => {
+      ctx.font = font || `bold ${size}px ${getComputedStyle(document.body).fontFamily}`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(text, width / 2, height / 2);
+    }, SHAPE_STEP);
+    return startFormation("text", centerOn(shape, x, y), durationMs);
+  };
+
+  /**
+   * Form an SVG path (the `d` attribute), scaled so its larger side is
+   * `size` px. The path should sit in positive coordinates, as in a viewBox.
+   * @param {string} pathData
+   * @param {{ x?: number, y?: number, size?: number, durationMs?: number }} [options]
+   * @returns {Promise<void>}
+   */
+  window.FIELD.formPath = (pathData, {
+    x = window.innerWidth / 2,
+    y = window.innerHeight / 2,
+    size = Math.min(window.innerWidth, window.innerHeight) * 0.5,
+    durationMs = 4000
+  } = {}) => {
+    const path = new Path2D(pathData);
+    // Measure at 1:1, then fill again scaled into the middle of the raster
+    const { box } = rasterize((ctx) => ctx.fill(path), 1);
+    if (box.minX === Infinity) return Promise.resolve();
+    const scale = size / Math.max(box.maxX - box.minX + 1, box.maxY - box.minY + 1);
+    const shape = rasterize((ctx, width, height) => {
+      ctx.setTransform(scale, 0, 0, scale,
+        width / 2 - ((box.minX + box.maxX) / 2) * scale,
+        height / 2 - ((box.minY + box.maxY) / 2) * scale);
+      ctx.fill(path);
+    }, SHAPE_STEP);
+    return startFormation("path", centerOn(shape, x, y), durationMs);
+  };
+
+  /**
+   * Loosen the current formation back into the ambient field.
+   * @param {{ durationMs?: number }} [options]
+   */
+  window.FIELD.dissolve = ({ durationMs = 1000 } = {}) => {
+    post({ type: "dissolve", durationMs });
+    if (!running) {
+      // No frames to dissolve over — let go at once
+      post({ type: "release" });
+      drawStatic();
+    }
+  };
+
+  window.FIELD.release = () => post({ type: "release" });
+
+  // Pages can ask for a formation declaratively, e.g. project titles:
+  // <div data-field-form-text="Project name">
+  window.FIELD.on("ready", () => {
+    const el = document.querySelector("[data-field-form-text]");
+    if (el) window.FIELD.formText(el.dataset.fieldFormText);
+  });
+
+  /* =========================
+     Recording & snapshots
+     The host renders each captured frame and hands back an ImageBitmap;
+     PNGs are encoded here, WebM goes through a private canvas's
+     captureStream() + MediaRecorder. Recording holds the live loop and
+     steps the simulation explicitly, so it works the same while paused.
+  ========================= */
+
+  const LIVE_FPS = 60; // simulation steps per second when running live
+  const captures = new Map(); // id → { resolve, reject }
+  let captureId = 0;
+
+  function captureFrame(steps, scale) {
+    if (!send) return Promise.reject(new Error("FIELD is not ready yet"));
+    return new Promise((resolve, reject) => {
+      const id = ++captureId;
+      captures.set(id, { resolve, reject });
+      post({ type: "capture", id, steps, scale });
+    });
+  }
+
+  function bitmapToPNG(bitmap) {
+    const out = document.createElement("canvas");
+    out.width = bitmap.width;
+    out.height = bitmap.height;
+    out.getContext("2d").drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return new Promise((resolve) => out.toBlob(resolve, "image/png"));
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  async function recordWebM(frameCount, steps, fps, scale) {
+    if (typeof MediaRecorder !== "function") {
+      throw new Error("WebM recording needs MediaRecorder");
+    }
+    const mimeType = ["video/webm;codecs=vp9", "video/webm"]
+      .find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error("This browser can't record WebM");
+
+    const first = await captureFrame(steps, scale);
+    const out = document.createElement("canvas");
+    out.width = first.width;
+    out.height = first.height;
+    const ctx = out.getContext("2d");
+    // Video has no alpha: paint the page background the canvas sits on
+    const background = getComputedStyle(document.documentElement)
+      .getPropertyValue("--bg-deep").trim() || "#000";
+
+    const stream = out.captureStream(0); // frames are pushed by requestFrame()
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.addEventListener("dataavailable", (e) => chunks.push(e.data));
+    const stopped = new Promise((resolve) => recorder.addEventListener("stop", resolve));
+
+    function paint(bitmap) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, out.width, out.height);
+      ctx.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      track.requestFrame();
+    }
+
+    // MediaRecorder timestamps in real time, so frames are paced at `fps`
+    recorder.start();
+    const start = performance.now();
+    paint(first);
+    for (let i = 1; i < frameCount; i++) {
+      await sleep(start + (i * 1000) / fps - performance.now());
+      paint(await captureFrame(steps, scale));
+    }
+    await sleep(start + (frameCount * 1000) / fps - performance.now());
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return new Blob(chunks, { type: mimeType });
+  }
+
+  /**
+   * Record a clip of the field.
+   * @param {{ seconds?: number, fps?: number, format?: "webm"|"png", scale?: number }} [options]
+   *   scale multiplies the device pixel ratio of each frame
+   * @returns {Promise<Blob|Blob[]>} one WebM Blob, or a PNG Blob per frame
+   */
+  window.FIELD.record = async ({ seconds = 5, fps = 30, format = "webm", scale = 1 } = {}) => {
+    if (format !== "webm" && format !== "png") {
+      throw new TypeError(`Unknown recording format "${format}"`);
+    }
+    if (recording) throw new Error("FIELD is already recording");
+
+    const frameCount = Math.max(1, Math.round(seconds * fps));
+    // Steps per captured frame, so clips play back at live speed
+    const steps = Math.max(1, Math.round(LIVE_FPS / fps));
+
+    recording = true;
+    if (running) post({ type: "stop" });
+    try {
+      if (format === "webm") return await recordWebM(frameCount, steps, fps, scale);
+      const frames = [];
+      for (let i = 0; i < frameCount; i++) {
+        frames.push(await bitmapToPNG(await captureFrame(steps, scale)));
+      }
+      return frames;
+    } finally {
+      recording = false;
+      if (running) post({ type: "start" });
+      else drawStatic();
+    }
+  };
+
+  /**
+   * PNG of the current frame, rendered at `scale` × the device pixel ratio.
+   * @param {{ scale?: number }} [options]
+   * @returns {Promise<Blob>}
+   */
+  window.FIELD.snapshot = async ({ scale = 1 } = {}) => {
+    return bitmapToPNG(await captureFrame(0, scale));
+  };
 })();
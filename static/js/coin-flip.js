@@ -13,8 +13,9 @@ function randomRange(min, max) {
   return Math.random() * (max - min) + min;
 }
 
+// Returns whether a flip happened (not while one is still animating)
 function flipCoin() {
-  if (!coin || flipping) return;
+  if (!coin || flipping) return false;
   flipping = true;
 
   // Trigger CSS flip animation (sync both coins)
@@ -22,11 +23,12 @@ function flipCoin() {
   mobileCoin?.classList.toggle("flipped");
   showingReal = !showingReal;
 
-  // Environment sync
-  if (window.FIELD) {
-    FIELD.energy   = randomRange(0.2, 0.5);
-    FIELD.spectrum = randomRange(0.2, 0.8);
-    FIELD.clusters = randomRange(0.2, 0.8);
+  // Environment sync: the generative side eases the field into a random
+  // built-in preset, the real side brings back the default look
+  if (window.FIELD?.applyPreset) {
+    const looks = FIELD.presets.filter(name => name !== "default");
+    const look = showingReal ? "default" : looks[Math.floor(Math.random() * looks.length)];
+    FIELD.applyPreset(look, { transitionMs: 600 });
   }
 
   // Unlock after animation; instant when transition is disabled by reduced motion
@@ -34,25 +36,32 @@ function flipCoin() {
   setTimeout(() => {
     flipping = false;
   }, lockDuration);
+  return true;
+}
+
+// A look the visitor picked (click, Space, hover) takes the field over from
+// the page sections, like the field-controls dials; auto-flips leave it be
+function takeField() {
+  if (window.FIELD) window.FIELD.choreography = false;
 }
 
 // Click handler (count only real clicks; auto-flips don't increment)
 // Ignore the synthetic click that follows a long-press on touch devices.
-let coinClickCounter = 0;
+// Clicks are tallied in the persisted 'coin_clicks' counter; the coin
+// achievements unlock from rules in achievements.js.
 function onCoinClick(e) {
   if (longPressTriggered) {
     longPressTriggered = false;
     return;
   }
-  coinClickCounter++;
-  flipCoin();
+  if (!flipping) takeField();
+  // Mid-flip clicks are ignored: no new look, no name, not counted
+  if (!flipCoin()) return;
 
-  if (coinClickCounter === 10) {
-    ACHIEVEMENTS.unlock('coin_clicker');
-  }
-  if (coinClickCounter === 50) {
-    ACHIEVEMENTS.unlock('coin_clicker_50');
-  }
+  // Clicking over to the generative face spells the name in the field
+  if (!showingReal) window.FIELD?.form?.("name", { durationMs: 2500 });
+
+  ACHIEVEMENTS.track('coin_clicks');
 }
 
 if (coin) {
@@ -84,14 +93,16 @@ if (!(window.FIELD && window.FIELD.prefersReducedMotion())) {
 window.addEventListener("keydown", e => {
   if (e.code === "Space") {
     e.preventDefault();
+    if (!flipping) takeField();
     flipCoin();
   }
 });
 
 // Hover pulse
 coin?.addEventListener("mouseenter", () => {
-  if (window.FIELD) {
-    FIELD.energy = randomRange(0.25, 0.45);
+  if (window.FIELD?.applyState) {
+    takeField();
+    FIELD.applyState({ energy: randomRange(0.25, 0.45) }, { transitionMs: 300 });
   }
 });
 
@@ -105,6 +116,7 @@ let longPressTriggered = false;
     longPressTriggered = false;
     pressTimer = setTimeout(() => {
       longPressTriggered = true;
+      if (!flipping) takeField();
       flipCoin();
     }, 500);
   });
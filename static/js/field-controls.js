@@ -6,10 +6,39 @@
   const spectrum = document.getElementById("dial-spectrum");
   const cluster = document.getElementById("dial-cluster");
   const density = document.getElementById("dial-density");
+  const share = document.getElementById("field-share");
+  const snapshot = document.getElementById("field-snapshot");
+  const record = document.getElementById("field-record");
+  const audioLabel = document.getElementById("field-audio-label");
+  const audioStop = document.getElementById("field-audio-stop");
 
-  function open()   { panel.classList.add("active"); }
+  // Move the dials to match the live field (after a preset, or when the
+  // field was changed elsewhere while the panel was closed)
+  function syncDials() {
+    if (!window.FIELD || typeof window.FIELD.getState !== "function") return;
+    const state = window.FIELD.getState();
+    energy.value = Math.round(state.energy * 100);
+    spectrum.value = Math.round(state.spectrum * 100);
+    cluster.value = Math.round(state.clusters * 100);
+    density.value = state.density;
+  }
+
+  function open() {
+    syncDials();
+    panel.classList.add("active");
+    document.dispatchEvent(new CustomEvent("fieldcontrols:open"));
+  }
   function close()  { panel.classList.remove("active"); }
-  function toggle() { panel.classList.toggle("active"); }
+  function toggle() { panel.classList.contains("active") ? close() : open(); }
+
+  // Follow changes made elsewhere (presets, coin flips, the console) while
+  // open. This script runs before bg-field.js, so subscribe once all deferred
+  // scripts have loaded.
+  document.addEventListener("DOMContentLoaded", () => {
+    window.FIELD?.on?.("statechange", () => {
+      if (panel.classList.contains("active")) syncDials();
+    });
+  });
 
   // Right-click the background canvas — the canvas has pointer-events:none so
   // contextmenu fires on whatever element is on top of it. Intercept only when
@@ -31,22 +60,134 @@
   });
 
   // Sliders
+  // Every tweak is mirrored into location.hash (#field=…) so the look can be shared,
+  // and takes the field over from the page sections (see bg-field.js)
   energy.addEventListener("input", e => {
-    window.FIELD.energy = +e.target.value;
+    window.FIELD.choreography = false;
+    window.FIELD.energy = e.target.value / 100;
+    window.FIELD.syncHash();
   });
 
   spectrum.addEventListener("input", e => {
-    window.FIELD.spectrum = +e.target.value;
+    window.FIELD.choreography = false;
+    window.FIELD.spectrum = e.target.value / 100;
+    window.FIELD.syncHash();
   });
 
   cluster.addEventListener("input", e => {
-    window.FIELD.clusters = +e.target.value;
+    window.FIELD.choreography = false;
+    window.FIELD.clusters = e.target.value / 100;
+    window.FIELD.syncHash();
   });
 
   density.addEventListener("input", e => {
+    window.FIELD.choreography = false;
     window.FIELD.density = +e.target.value;
     // regenerate field
     if (window.createPoints) window.createPoints();
+    window.FIELD.syncHash();
+  });
+
+  // Presets
+  panel.querySelectorAll("[data-field-preset]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      window.FIELD.choreography = false;
+      window.FIELD.applyPreset(btn.dataset.fieldPreset, { transitionMs: 800 }).then(() => {
+        syncDials();
+        window.FIELD.syncHash();
+      });
+    });
+  });
+
+  // Copy a link that reproduces the current look
+  share.addEventListener("click", () => {
+    const url = window.FIELD.syncHash();
+    if (!navigator.clipboard) return; // the address bar already holds the link
+    navigator.clipboard.writeText(url).then(() => {
+      share.textContent = "Copied";
+      setTimeout(() => { share.textContent = "Copy link"; }, 1500);
+    }).catch(() => {});
+  });
+
+  // Captures download straight away, named after the seed behind the layout
+  function download(blob, extension) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `field-${window.FIELD.seed.toString(36)}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  snapshot.addEventListener("click", () => {
+    window.FIELD.snapshot({ scale: 2 })
+      .then(blob => download(blob, "png"))
+      .catch(err => console.warn(`Field snapshot failed: ${err.message}`));
+  });
+
+  record.addEventListener("click", () => {
+    record.disabled = true;
+    record.textContent = "Recording…";
+    window.FIELD.record({ seconds: 5, fps: 30, format: "webm" })
+      .then(blob => download(blob, "webm"))
+      .catch(err => console.warn(`Field recording failed: ${err.message}`))
+      .finally(() => {
+        record.disabled = false;
+        record.textContent = "Record 5s";
+      });
+  });
+
+  // Drop a local audio file on the panel and the field listens to it
+  // (FIELD.listen in bg-field.js); the track loops until stopped
+  const AUDIO_HINT = audioLabel.textContent;
+  let track = null;
+
+  panel.addEventListener("dragover", e => {
+    if (![...e.dataTransfer.items].some(item => item.type.startsWith("audio/"))) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    panel.classList.add("dropping");
+  });
+
+  panel.addEventListener("dragleave", e => {
+    if (!panel.contains(e.relatedTarget)) panel.classList.remove("dropping");
+  });
+
+  panel.addEventListener("drop", e => {
+    const file = [...e.dataTransfer.files].find(f => f.type.startsWith("audio/"));
+    panel.classList.remove("dropping");
+    if (!file) return;
+    e.preventDefault();
+
+    if (!track) {
+      track = new Audio();
+      track.loop = true;
+    } else {
+      URL.revokeObjectURL(track.src);
+    }
+    track.src = URL.createObjectURL(file);
+    window.FIELD.listen(track)
+      .then(() => track.play())
+      .then(() => {
+        audioLabel.textContent = file.name;
+        audioStop.hidden = false;
+      })
+      .catch(err => console.warn(`Field audio failed: ${err.message}`));
+  });
+
+  audioStop.addEventListener("click", () => {
+    window.FIELD.stopListening();
+    syncDials();
+  });
+
+  // However listening ends (Stop, or FIELD.stopListening() from the console)
+  document.addEventListener("DOMContentLoaded", () => {
+    window.FIELD?.on?.("listen", ({ listening }) => {
+      if (listening) return;
+      if (track) track.pause();
+      audioLabel.textContent = AUDIO_HINT;
+      audioStop.hidden = true;
+    });
   });
 
 })();
@@ -85,6 +85,11 @@
     });
 
     lockScroll();
+
+    // Announce the open for anything that follows along (achievements.js)
+    document.dispatchEvent(new CustomEvent("interactive:open", {
+      detail: { src: src, origin: activeOrigin }
+    }));
   }
 
   /* ── Close: close button clicked ── */
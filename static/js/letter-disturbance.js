@@ -0,0 +1,151 @@
+/* =============================================================
+   Letter disturbance — pointers nudge the letters of any heading
+   marked [data-letter-disturbance] (the name on the home page,
+   project and experiment titles) with the particles' own falloff
+   and DISTURBANCE_CONFIG (applyDisturbance in bg-field-physics.js).
+   Each letter is a damped spring back to its rest place, stepped
+   on the field's "tick", so the letters move exactly while the
+   field animates and stop when it is paused, hidden or under
+   reduced motion. Rest places are measured when layout changes,
+   never per frame.
+   ============================================================= */
+
+import { applyDisturbance } from "./bg-field-physics.js";
+
+const LETTER = {
+  STIFFNESS: 0.2, // spring pull per px of offset
+  DAMPING: 0.75,  // share of velocity kept per frame
+  REST: 0.05      // offset (px) and speed (px/frame) below which a letter is settled
+};
+
+// Split a heading's text into letter spans in place. Child elements (the
+// name's .text-primary span, links) keep their place and get their own
+// text split; whitespace stays as text so lines still wrap between words,
+// and each word is kept whole. The heading's aria-label carries the
+// original text, so the letters are hidden from assistive tech.
+function splitLetters(heading) {
+  heading.setAttribute("aria-label", heading.textContent.replace(/\s+/g, " ").trim());
+
+  const walker = document.createTreeWalker(heading, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  const letters = [];
+  for (const node of textNodes) {
+    // Inside a link or button the text is also its name — leave that exposed
+    const hide = !node.parentElement.closest("a, button");
+    const fragment = document.createDocumentFragment();
+
+    for (const part of node.textContent.split(/(\s+)/)) {
+      if (!part) continue;
+      if (/^\s/.test(part)) {
+        fragment.append(part);
+        continue;
+      }
+      const word = document.createElement("span");
+      word.style.whiteSpace = "nowrap";
+      if (hide) word.setAttribute("aria-hidden", "true");
+      for (const char of part) {
+        const span = document.createElement("span");
+        span.textContent = char;
+        span.dataset.letter = "";
+        span.style.display = "inline-block";
+        word.append(span);
+        letters.push(span);
+      }
+      fragment.append(word);
+    }
+    node.replaceWith(fragment);
+  }
+  return letters;
+}
+
+// Runs once the field is ready, so DISTURBANCE_CONFIG is in place
+function initLetterDisturbance() {
+  const headings = document.querySelectorAll("[data-letter-disturbance]");
+  if (!headings.length) return;
+
+  // One spring per letter: rest centre in document space, offset and
+  // velocity relative to it
+  const letters = [...headings].flatMap(splitLetters).map((el) => ({
+    el,
+    restX: 0,
+    restY: 0,
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    moving: false
+  }));
+
+  // Measure each letter's rest centre (document space) for its spring.
+  // Rects include the current offset, so it is taken back out.
+  function measure() {
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+
+    for (const letter of letters) {
+      const rect = letter.el.getBoundingClientRect();
+      letter.restX = rect.left - letter.x + scrollX + rect.width / 2;
+      letter.restY = rect.top - letter.y + scrollY + rect.height / 2;
+    }
+  }
+
+  function rest(letter) {
+    letter.x = letter.y = letter.vx = letter.vy = 0;
+    letter.moving = false;
+    letter.el.style.transform = '';
+  }
+
+  // Scratch body in viewport space, where pointer sources live
+  const body = { x: 0, y: 0, vx: 0, vy: 0 };
+
+  function step() {
+    // Active pointer sources (mouse, pen, each touch) tracked by bg-field.js
+    const sources = window.FIELD.pointers;
+    const config = window.DISTURBANCE_CONFIG;
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+
+    for (const letter of letters) {
+      if (!sources.length && !letter.moving) continue;
+
+      const originX = letter.restX - scrollX;
+      const originY = letter.restY - scrollY;
+      body.x = originX + letter.x;
+      body.y = originY + letter.y;
+      body.vx = letter.vx;
+      body.vy = letter.vy;
+      for (const source of sources) {
+        applyDisturbance(body, source, config, Math.random);
+      }
+
+      // Damped spring back to rest (semi-implicit Euler)
+      letter.vx = (body.vx - (body.x - originX) * LETTER.STIFFNESS) * LETTER.DAMPING;
+      letter.vy = (body.vy - (body.y - originY) * LETTER.STIFFNESS) * LETTER.DAMPING;
+      letter.x = body.x - originX + letter.vx;
+      letter.y = body.y - originY + letter.vy;
+
+      const settled =
+        Math.abs(letter.x) < LETTER.REST && Math.abs(letter.y) < LETTER.REST &&
+        Math.abs(letter.vx) < LETTER.REST && Math.abs(letter.vy) < LETTER.REST;
+
+      if (settled) {
+        rest(letter);
+      } else {
+        letter.moving = true;
+        letter.el.style.transform = `translate(${letter.x.toFixed(1)}px, ${letter.y.toFixed(1)}px)`;
+      }
+    }
+  }
+
+  measure();
+  window.addEventListener("resize", measure);
+  // Glyph widths change once the web font arrives
+  document.fonts?.ready.then(measure);
+  window.FIELD.on("tick", step);
+  // Paused mid-wobble: put the letters back rather than freeze them askew
+  window.FIELD.on("pause", () => letters.forEach(rest));
+}
+
+window.FIELD?.on?.('ready', initLetterDisturbance);
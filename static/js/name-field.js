@@ -1,26 +1,18 @@
 (() => {
-  window.FIELD = window.FIELD || {};
-
-  const nameCanvas = document.getElementById("name-field");
-  if (!nameCanvas) return;
-
-  const ctx = nameCanvas.getContext("2d");
-
-  let w, h, dpr;
+  /* =============================================================
+     Name mask — rasterizes the h1 into sample points that
+     FIELD.form('name') springs particles onto (see bg-field.js).
+     Points are in document space, so scrolling never invalidates
+     them; the mask is rebuilt per layout (resize, web fonts) only.
+     ============================================================= */
 
-  function resize() {
-    dpr = window.devicePixelRatio || 1;
-    w = window.innerWidth;
-    h = window.innerHeight;
+  window.FIELD = window.FIELD || {};
+  FIELD.nameMask = [];
 
-    nameCanvas.width = w * dpr;
-    nameCanvas.height = h * dpr;
-    nameCanvas.style.width = w + "px";
-    nameCanvas.style.height = h + "px";
+  const SAMPLE_STEP = 6; // px between mask samples
 
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-    rebuildMask();
-  }
+  // Off-screen raster — nothing is drawn over the page
+  const ctx = document.createElement("canvas").getContext("2d", { willReadFrequently: true });
 
   function getNameEl() {
     return document.querySelector("h1");
@@ -28,48 +20,42 @@
 
   function rebuildMask() {
     const el = getNameEl();
-    if (!el) return;
-
     FIELD.nameMask = [];
-    FIELD.nameStrength = 0.4;
-
-    ctx.clearRect(0, 0, w, h);
+    if (!el) return;
 
     const rect = el.getBoundingClientRect();
     const style = getComputedStyle(el);
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.ceil(rect.width);
+    const height = Math.ceil(rect.height);
+    if (!width || !height) return;
 
+    ctx.canvas.width = width * dpr;
+    ctx.canvas.height = height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     ctx.font = `${style.fontWeight} ${rect.height}px ${style.fontFamily}`;
     ctx.fillStyle = "#fff";
     ctx.textBaseline = "top";
+    ctx.fillText(el.innerText.toUpperCase(), 0, 0);
 
-    ctx.fillText(
-      el.innerText.toUpperCase(),
-      rect.left,
-      rect.top
-    );
-
-    const img = ctx.getImageData(0, 0, w * dpr, h * dpr);
-    const d = img.data;
+    const d = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height).data;
+    const left = rect.left + window.scrollX;
+    const top = rect.top + window.scrollY;
 
-    // sample pixels with proper DPR scaling
-    for (let y = 0; y < h * dpr; y += 6) {
-      for (let x = 0; x < w * dpr; x += 6) {
-        const a = d[(y * w * dpr + x) * 4 + 3];
+    // Sample in CSS pixels, read at the matching device pixel
+    for (let y = 0; y < height; y += SAMPLE_STEP) {
+      for (let x = 0; x < width; x += SAMPLE_STEP) {
+        const a = d[(Math.floor(y * dpr) * ctx.canvas.width + Math.floor(x * dpr)) * 4 + 3];
         if (a > 20) {
-          // Convert back to viewport coordinates
-          FIELD.nameMask.push({ 
-            x: x / dpr, 
-            y: y / dpr 
-          });
+          FIELD.nameMask.push({ x: left + x, y: top + y });
         }
       }
     }
-
-    console.log("[name-field] mask points:", FIELD.nameMask.length);
   }
 
-  window.addEventListener("resize", resize);
-  window.addEventListener("scroll", rebuildMask);
+  window.addEventListener("resize", rebuildMask);
+  // Glyph shapes change once the web font arrives
+  document.fonts?.ready.then(rebuildMask);
 
-  resize();
+  rebuildMask();
 })();
@@ -0,0 +1,154 @@
+// Trophy case: every achievement in a native <dialog> (Esc, focus trap and
+// ::backdrop for free, like shot-lightbox.js), grouped by rarity. Locked
+// entries show as silhouettes with their hint; unlocked ones show the date.
+// Opens with Alt+Shift+T or by clicking an achievement toast.
+(() => {
+  const RARITIES = [
+    { id: 'epic', label: 'Epic' },
+    { id: 'rare', label: 'Rare' },
+    { id: 'uncommon', label: 'Uncommon' },
+    { id: 'common', label: 'Common' }
+  ];
+  // Alt+Shift+T — a modifier combo, so typing a "t" never opens it
+  const SHORTCUT = { code: 'KeyT', altKey: true, shiftKey: true, label: 'Alt+Shift+T' };
+
+  const dateFormat = new Intl.DateTimeFormat(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+  let dialog = null;
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function build() {
+    dialog = el('dialog', 'trophy-case');
+    dialog.setAttribute('aria-labelledby', 'trophy-case-title');
+
+    const header = el('header', 'trophy-case__header');
+    const title = header.appendChild(el('h2', 'trophy-case__title', 'Trophy Case'));
+    title.id = 'trophy-case-title';
+    header.appendChild(el('p', 'trophy-case__progress'));
+    const bar = header.appendChild(el('div', 'trophy-case__bar'));
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', 'Achievements unlocked');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.appendChild(el('span'));
+
+    const close = header.appendChild(el('button', 'trophy-case__close', '×'));
+    close.type = 'button';
+    close.setAttribute('aria-label', 'Close');
+    close.addEventListener('click', () => dialog.close());
+
+    dialog.appendChild(header);
+    dialog.appendChild(el('div', 'trophy-case__groups'));
+    dialog.appendChild(el('p', 'trophy-case__hint', `${SHORTCUT.label} opens this case anytime`));
+
+    // click on the backdrop (outside the panel) closes
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) dialog.close();
+    });
+    document.body.appendChild(dialog);
+  }
+
+  function renderItem(achievement) {
+    const { id, name, description, hint, image, icon, glyph, rarity, unlocked, unlockedAt } = achievement;
+    const item = el('li', `trophy ach-rarity-${rarity || 'common'} ${unlocked ? 'is-unlocked' : 'is-locked'}`);
+    item.dataset.achievementId = id;
+
+    const art = item.appendChild(el('div', 'trophy__art'));
+    art.setAttribute('aria-hidden', 'true');
+    if (image) {
+      const img = art.appendChild(el('img'));
+      img.src = image;
+      img.alt = '';
+    } else if (icon) {
+      art.appendChild(el('i', `fa fa-${icon} fa-fw`));
+    } else if (glyph) {
+      art.appendChild(el('span', 'trophy__glyph', glyph));
+    }
+
+    const text = item.appendChild(el('div', 'trophy__text'));
+    if (unlocked) {
+      text.appendChild(el('div', 'trophy__name', name));
+      text.appendChild(el('div', 'trophy__desc', description));
+      const time = text.appendChild(el('time', 'trophy__date', `Unlocked ${dateFormat.format(unlockedAt)}`));
+      time.dateTime = new Date(unlockedAt).toISOString();
+    } else {
+      text.appendChild(el('div', 'trophy__name', 'Locked'));
+      if (hint) text.appendChild(el('div', 'trophy__desc', hint));
+    }
+    return item;
+  }
+
+  function render() {
+    const list = ACHIEVEMENTS.list();
+    const earned = list.filter(a => a.unlocked).length;
+    const percent = list.length ? Math.round((earned / list.length) * 100) : 0;
+
+    dialog.querySelector('.trophy-case__progress').textContent =
+      `${earned} of ${list.length} unlocked · ${percent}%`;
+    const bar = dialog.querySelector('.trophy-case__bar');
+    bar.setAttribute('aria-valuenow', String(percent));
+    bar.firstChild.style.width = `${percent}%`;
+
+    const groups = dialog.querySelector('.trophy-case__groups');
+    groups.replaceChildren();
+    for (const rarity of RARITIES) {
+      const members = list.filter(a => (a.rarity || 'common') === rarity.id);
+      if (!members.length) continue;
+      const section = groups.appendChild(el('section', `trophy-case__group ach-rarity-${rarity.id}`));
+      section.appendChild(el('h3', 'trophy-case__rarity', rarity.label));
+      const items = section.appendChild(el('ul', 'trophy-case__list'));
+      members.forEach(a => items.appendChild(renderItem(a)));
+    }
+  }
+
+  /**
+   * Open the trophy case, optionally scrolled to one achievement.
+   * @param {string} [achievementId] - highlighted when given
+   */
+  function open(achievementId) {
+    if (!dialog) build();
+    render();
+    if (!dialog.open) dialog.showModal();
+    const item = achievementId && dialog.querySelector(`[data-achievement-id="${CSS.escape(achievementId)}"]`);
+    if (item) {
+      item.classList.add('is-highlighted');
+      item.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  const boot = () => {
+    document.addEventListener('keydown', (e) => {
+      if (e.code !== SHORTCUT.code || e.altKey !== SHORTCUT.altKey || e.shiftKey !== SHORTCUT.shiftKey) return;
+      if (e.ctrlKey || e.metaKey) return;
+      e.preventDefault();
+      if (dialog?.open) dialog.close();
+      else open();
+    });
+
+    // Toasts are transient; clicking one shows it in context
+    document.addEventListener('click', (e) => {
+      const toast = e.target.closest('.ani_div[data-achievement-id]');
+      if (toast) open(toast.dataset.achievementId);
+    });
+
+    // Keep an open case current as achievements unlock behind it
+    document.addEventListener('achievement:unlock', () => {
+      if (dialog?.open) render();
+    });
+  };
+
+  window.TROPHY_CASE = {
+    open,
+    close: () => dialog?.close(),
+    get isOpen() { return Boolean(dialog?.open); }
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', boot);
+  else boot();
+})();
@@ -22,11 +22,12 @@
  *      - .ach-name text content
  *      - .ach-icon-img src (contains expected filename)
  *
- * 3. Always reload the page at the start of each test (resets JS state).
+ * 3. Always start each test with freshVisit(page) — unlocks persist in
+ *    localStorage, so a plain reload no longer resets progress.
  *
- * 4. Fast-forward counters with page.evaluate() — never click 50 times:
- *      await page.evaluate(() => { coinClickCounter = 49; });
- *      await page.click(COIN_SELECTOR); // → triggers at 50
+ * 4. Fast-forward counters with setCounter() — never click 50 times:
+ *      await setCounter(page, 'coin_clicks', 49);
+ *      await clickCoin(page);            // → triggers at 50
  *
  * 5. Use waitForSelector() not waitForTimeout() for positive assertions.
  *    Use a short setTimeout() only when asserting absence (no toast).
@@ -37,7 +38,9 @@
  * ADDING TESTS FOR NEW ACHIEVEMENTS
  * ─────────────────────────────────────────────────────────────
  * 1. Add the achievement def to themes/resume/static/js/achievements.js
- * 2. Add the trigger to coin-flip.js (or wherever it fires)
+ * 2. Give it a `rule` on a counter, and feed that counter from an entry in
+ *    ACHIEVEMENT_TRIGGERS (or ACHIEVEMENTS.track() where the behavior
+ *    happens, as coin-flip.js does for 'coin_clicks')
  * 3. Add a runTest() block before the "ADD FUTURE TESTS HERE" marker below
  * 4. npm test — all tests must pass before committing
  */
@@ -47,6 +50,7 @@ import puppeteer from 'puppeteer';
 import { BASE_URL } from '../helpers/server.js';
 const COIN_SELECTOR = '#profileCoin';
 const TOAST_SEL     = '.ani_div';
+const STORAGE_KEY   = 'roojerry:achievements';
 
 let passed = 0;
 let failed = 0;
@@ -65,6 +69,22 @@ async function runTest(name, fn, page) {
   }
 }
 
+/**
+ * Load `path` with no stored progress, as a first-time visitor would see it.
+ */
+async function freshVisit(page, path = '/') {
+  await page.evaluate((key) => localStorage.removeItem(key), STORAGE_KEY);
+  await page.goto(`${BASE_URL}${path}`, { waitUntil: 'networkidle0' });
+}
+
+/**
+ * Fast-forward a tracked counter without saving; the next real track()
+ * persists it along with its own increment.
+ */
+async function setCounter(page, counter, value) {
+  await page.evaluate((c, v) => ACHIEVEMENTS.counters.set(c, v), counter, value);
+}
+
 /**
  * Click the coin once and wait for the flip animation lock to release.
  * The coin ignores clicks while flipping (600ms CSS transition).
@@ -73,8 +93,12 @@ async function runTest(name, fn, page) {
 async function clickCoin(page, times = 1) {
   await page.waitForSelector(COIN_SELECTOR, { timeout: 3000 });
   for (let i = 0; i < times; i++) {
+    // Clicks during a flip (an auto-flip included) are ignored, so wait for
+    // the coin to settle on both sides. `flipping` is a top-level let in
+    // coin-flip.js: a global binding, but not a window property.
+    await page.waitForFunction(() => !flipping, { timeout: 2000 });
     await page.click(COIN_SELECTOR);
-    await page.waitForFunction(() => !window.flipping, { timeout: 2000 });
+    await page.waitForFunction(() => !flipping, { timeout: 2000 });
   }
 }
 
@@ -142,21 +166,21 @@ async function assertNoToast(page, achievementId, waitMs = 700) {
 
   // ── Test 1: No toast on fresh page load ─────────────────
   await runTest('No achievement toast on page load', async (page) => {
-    await page.reload({ waitUntil: 'networkidle0' });
+    await freshVisit(page);
     await assertNoToast(page, 'coin_clicker');
     await assertNoToast(page, 'coin_clicker_50');
   }, page);
 
   // ── Test 2: No toast before threshold ───────────────────
   await runTest('No toast after 9 clicks (threshold not reached)', async (page) => {
-    await page.reload({ waitUntil: 'networkidle0' });
+    await freshVisit(page);
     await clickCoin(page, 9);
     await assertNoToast(page, 'coin_clicker', 400);
   }, page);
 
   // ── Test 3: coin_clicker unlocks at 10 ──────────────────
   await runTest('coin_clicker unlocks at click 10 with correct name and image', async (page) => {
-    await page.reload({ waitUntil: 'networkidle0' });
+    await freshVisit(page);
     await clickCoin(page, 10);
     await assertToast(page, {
       achievementId: 'coin_clicker',
@@ -167,10 +191,10 @@ async function assertNoToast(page, achievementId, waitMs = 700) {
 
   // ── Test 4: coin_clicker deduplication ──────────────────
   await runTest('coin_clicker does not re-unlock on click 11 (dedup)', async (page) => {
-    await page.reload({ waitUntil: 'networkidle0' });
+    await freshVisit(page);
     // Fast-forward to 9, then click to 10 → triggers unlock
-    await page.evaluate(() => { coinClickCounter = 9; });
-    await page.click(COIN_SELECTOR);
+    await setCounter(page, 'coin_clicks', 9);
+    await clickCoin(page);
     // Wait for the toast to appear and animate away (3s)
     await page.waitForSelector(`${TOAST_SEL}[data-achievement-id="coin_clicker"]`, { timeout: 3000 });
     await page.waitForFunction(
@@ -179,17 +203,17 @@ async function assertNoToast(page, achievementId, waitMs = 700) {
       `${TOAST_SEL}[data-achievement-id="coin_clicker"]`
     );
     // Click 11 — must not produce a new toast
-    await page.click(COIN_SELECTOR);
+    await clickCoin(page);
     await assertNoToast(page, 'coin_clicker', 600);
   }, page);
 
   // ── Test 5: coin_clicker_50 unlocks at 50 ───────────────
   // NOTE: Uses fast-forward pattern — the established convention for high-count tests.
-  // Set coinClickCounter = 49 via page.evaluate(), then one real click triggers at 50.
+  // Set the coin_clicks counter to 49 via setCounter(), then one real click triggers at 50.
   await runTest('coin_clicker_50 unlocks at click 50 with correct name and image', async (page) => {
-    await page.reload({ waitUntil: 'networkidle0' });
-    await page.evaluate(() => { coinClickCounter = 49; });
-    await page.click(COIN_SELECTOR);
+    await freshVisit(page);
+    await setCounter(page, 'coin_clicks', 49);
+    await clickCoin(page);
     await assertToast(page, {
       achievementId: 'coin_clicker_50',
       name:          '50 Clicks Legend',
@@ -197,13 +221,436 @@ async function assertNoToast(page, achievementId, waitMs = 700) {
     });
   }, page);
 
+  // ── Test 6: Unlocks survive a reload ────────────────────
+  await runTest('Unlocks persist across reloads with their unlock time', async (page) => {
+    await freshVisit(page);
+    await setCounter(page, 'coin_clicks', 9);
+    await clickCoin(page);
+    await page.waitForSelector(`${TOAST_SEL}[data-achievement-id="coin_clicker"]`, { timeout: 3000 });
+
+    await page.reload({ waitUntil: 'networkidle0' });
+    const entry = await page.evaluate(() =>
+      ACHIEVEMENTS.list().find(a => a.id === 'coin_clicker'));
+    if (!entry?.unlocked) throw new Error('coin_clicker was forgotten after reload');
+    if (!(entry.unlockedAt > Date.now() - 60000)) {
+      throw new Error(`Unexpected unlock time ${entry.unlockedAt}`);
+    }
+
+    // Reaching the threshold again in the new session must stay quiet
+    await setCounter(page, 'coin_clicks', 9);
+    await clickCoin(page);
+    await assertNoToast(page, 'coin_clicker', 600);
+  }, page);
+
+  // ── Test 7: reset() forgets progress ────────────────────
+  await runTest('ACHIEVEMENTS.reset() clears stored progress so toasts fire again', async (page) => {
+    await freshVisit(page);
+    await page.evaluate(() => ACHIEVEMENTS.unlock('coin_clicker'));
+    await page.evaluate(() => {
+      ACHIEVEMENTS.unlock('konami');
+      ACHIEVEMENTS.unlock('density_maxed');
+      ACHIEVEMENTS.unlock('field_controls_found');
+      ACHIEVEMENTS.unlock('fit_page_read'); // queued behind the three on screen
+      ACHIEVEMENTS.reset();
+    });
+    const stored = await page.evaluate((key) => localStorage.getItem(key), STORAGE_KEY);
+    if (stored !== null) throw new Error(`Storage still holds ${stored}`);
+    const toasts = await page.evaluate(() => document.querySelectorAll('.ani_div').length + ACHIEVEMENTS.queue.length);
+    if (toasts !== 0) throw new Error(`${toasts} toast(s) still showing or queued after reset`);
+
+    await page.reload({ waitUntil: 'networkidle0' });
+    const unlocked = await page.evaluate(() => ACHIEVEMENTS.list().filter(a => a.unlocked).length);
+    if (unlocked !== 0) throw new Error(`${unlocked} achievement(s) still unlocked after reset`);
+
+    await setCounter(page, 'coin_clicks', 9);
+    await clickCoin(page);
+    await assertToast(page, {
+      achievementId: 'coin_clicker',
+      name:          '10 Clicks Hero',
+      imageSrc:      'coin-clicker-10.png',
+    });
+  }, page);
+
+  // ── Test 8: Corrupt and future records ──────────────────
+  await runTest('Corrupt records are discarded and newer versions left untouched', async (page) => {
+    await page.evaluate((key) => localStorage.setItem(key, '{"version":1,"unlo'), STORAGE_KEY);
+    await page.reload({ waitUntil: 'networkidle0' });
+    const afterCorrupt = await page.evaluate((key) => ({
+      unlocked: ACHIEVEMENTS.list().filter(a => a.unlocked).length,
+      stored: JSON.parse(localStorage.getItem(key)),
+      version: ACHIEVEMENTS.STORAGE_VERSION
+    }), STORAGE_KEY);
+    if (afterCorrupt.unlocked !== 0) throw new Error('A corrupt record unlocked achievements');
+    if (afterCorrupt.stored?.version !== afterCorrupt.version) throw new Error('The corrupt record was not replaced');
+
+    const future = JSON.stringify({ version: 999, unlocked: { coin_clicker: 1 } });
+    await page.evaluate((key, value) => localStorage.setItem(key, value), STORAGE_KEY, future);
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.evaluate(() => ACHIEVEMENTS.unlock('coin_clicker_50'));
+    const stored = await page.evaluate((key) => localStorage.getItem(key), STORAGE_KEY);
+    await page.evaluate((key) => localStorage.removeItem(key), STORAGE_KEY);
+    if (stored !== future) throw new Error('A record from a newer version was overwritten');
+  }, page);
+
+  // ── Test 9: Blocked storage ─────────────────────────────
+  await runTest('Achievements still unlock when localStorage is blocked', async () => {
+    const blocked = await browser.newPage();
+    // Private-mode style: any access to localStorage throws
+    await blocked.evaluateOnNewDocument(() => {
+      Object.defineProperty(window, 'localStorage', {
+        get() { throw new DOMException('The operation is insecure.', 'SecurityError'); }
+      });
+    });
+    const errors = [];
+    blocked.on('pageerror', err => errors.push(err.message));
+    try {
+      await blocked.goto(BASE_URL, { waitUntil: 'networkidle0' });
+      await setCounter(blocked, 'coin_clicks', 9);
+      await clickCoin(blocked);
+      await assertToast(blocked, {
+        achievementId: 'coin_clicker',
+        name:          '10 Clicks Hero',
+        imageSrc:      'coin-clicker-10.png',
+      });
+      await blocked.evaluate(() => ACHIEVEMENTS.reset());
+    } finally {
+      await blocked.close();
+    }
+    if (errors.length) throw new Error(`Page errors with storage blocked: ${errors.join('; ')}`);
+  }, page);
+
+  // ── Test 10: Stored v1 records ──────────────────────────
+  await runTest('v1 records restore unlocks, counters and counted keys', async (page) => {
+    const v1 = JSON.stringify({
+      version: 1,
+      unlocked: { coin_clicker: 1700000000000 },
+      counters: { coin_clicks: 12, experiments_opened: 1 },
+      seen: { experiments_opened: ['/experiments/one/'] }
+    });
+    await page.evaluate((key, value) => localStorage.setItem(key, value), STORAGE_KEY, v1);
+    await page.reload({ waitUntil: 'networkidle0' });
+    const result = await page.evaluate(() => ({
+      entry: ACHIEVEMENTS.list().find(a => a.id === 'coin_clicker'),
+      clicks: ACHIEVEMENTS.counters.get('coin_clicks'),
+      seen: [...(ACHIEVEMENTS.seen.get('experiments_opened') || [])]
+    }));
+    if (result.entry.unlockedAt !== 1700000000000) throw new Error('The v1 unlock time was lost');
+    if (result.clicks !== 12) throw new Error(`Expected 12 stored coin clicks, got ${result.clicks}`);
+    if (result.seen[0] !== '/experiments/one/') throw new Error('Counted keys were not restored');
+  }, page);
+
+  // ── Test 10b: Legacy unversioned records ────────────────
+  await runTest('Legacy unversioned records keep their unlocks and coin clicks', async (page) => {
+    const legacy = JSON.stringify({ coin_clicks: 23, unlocked: ['coin_clicker'] });
+    await page.evaluate((key, value) => localStorage.setItem(key, value), STORAGE_KEY, legacy);
+    await page.reload({ waitUntil: 'networkidle0' });
+    const result = await page.evaluate((key) => ({
+      entry: ACHIEVEMENTS.list().find(a => a.id === 'coin_clicker'),
+      clicks: ACHIEVEMENTS.counters.get('coin_clicks'),
+      stored: JSON.parse(localStorage.getItem(key)),
+      version: ACHIEVEMENTS.STORAGE_VERSION
+    }), STORAGE_KEY);
+    if (!result.entry.unlocked || !Number.isFinite(result.entry.unlockedAt)) {
+      throw new Error('The legacy unlock was lost');
+    }
+    if (result.clicks !== 23) throw new Error(`Expected 23 legacy coin clicks, got ${result.clicks}`);
+    if (result.stored.version !== result.version) throw new Error('The legacy record was not rewritten in the current format');
+  }, page);
+
+  // ── Test 11: Counters persist and drive rules ───────────
+  await runTest('Tracked counters persist across reloads and unlock rule-based achievements', async (page) => {
+    await freshVisit(page);
+    await clickCoin(page, 4);
+    await page.reload({ waitUntil: 'networkidle0' });
+    const clicks = await page.evaluate(() => ACHIEVEMENTS.counters.get('coin_clicks'));
+    if (clicks !== 4) throw new Error(`Expected 4 persisted coin clicks, got ${clicks}`);
+
+    // A pure-data compound rule: two visits, plus either a share or three presets
+    const unlockedAfter = await page.evaluate(() => {
+      ACHIEVEMENT_DEFS.test_compound = {
+        id: 'test_compound',
+        name: 'Compound Rule',
+        description: 'Test-only achievement',
+        rule: { all: [
+          { counter: 'test_visits', gte: 2 },
+          { any: [{ counter: 'test_shares', gte: 1 }, { counter: 'test_presets', gte: 3 }] }
+        ] }
+      };
+      const steps = [
+        ['test_visits', 2],
+        ['test_presets', 2],
+        ['test_presets', 1]
+      ];
+      return steps.map(([counter, delta]) => {
+        ACHIEVEMENTS.track(counter, delta);
+        return ACHIEVEMENTS.unlocked.has('test_compound');
+      });
+    });
+    if (unlockedAfter.join() !== 'false,false,true') {
+      throw new Error(`Compound rule unlocked at the wrong step: ${unlockedAfter.join()}`);
+    }
+    await assertToast(page, { achievementId: 'test_compound', name: 'Compound Rule' });
+    await page.evaluate(() => ACHIEVEMENTS.reset());
+  }, page);
+
+  // ── Test 11b: Clicks during a flip are ignored ──────────
+  await runTest('A second click while the coin is still flipping is not counted', async (page) => {
+    await freshVisit(page);
+    await page.waitForFunction(() => !flipping, { timeout: 2000 });
+    await page.click(COIN_SELECTOR);
+    await page.click(COIN_SELECTOR);
+    await page.waitForFunction(() => !flipping, { timeout: 2000 });
+    const clicks = await page.evaluate(() => ACHIEVEMENTS.counters.get('coin_clicks'));
+    if (clicks !== 1) throw new Error(`Expected 1 counted click for a double click, got ${clicks}`);
+  }, page);
+
+  // ── Test 12: Every experiment opened ────────────────────
+  await runTest('experiments_all unlocks once every experiment has been opened', async (page) => {
+    await freshVisit(page, '/experiments/');
+    const { srcs, total } = await page.evaluate(() => ({
+      srcs: [...new Set([...document.querySelectorAll('.exp-tile[data-src], .exp-tile [data-src]')]
+        .map(el => el.dataset.src))],
+      total: Number(document.body.dataset.experiments)
+    }));
+    if (srcs.length !== total) throw new Error(`${srcs.length} experiment tiles but ${total} experiments`);
+
+    // Everything but the first already opened — reopening one doesn't count twice
+    await page.evaluate((rest) => {
+      rest.forEach(src => ACHIEVEMENTS.track('experiments_opened', 1, { key: src }));
+      ACHIEVEMENTS.track('experiments_opened', 1, { key: rest[0] });
+    }, srcs.slice(1));
+    const counted = await page.evaluate(() => ACHIEVEMENTS.counters.get('experiments_opened'));
+    if (counted !== total - 1) throw new Error(`Expected ${total - 1} distinct experiments, got ${counted}`);
+    await assertNoToast(page, 'experiments_all', 300);
+
+    await page.evaluate((src) => {
+      document.querySelector(`.exp-tile[data-src="${src}"], .exp-tile [data-src="${src}"]`).click();
+    }, srcs[0]);
+    await assertToast(page, { achievementId: 'experiments_all', name: 'Lab Rat' });
+    await page.keyboard.press('Escape');
+  }, page);
+
+  // ── Test 13: Field controls found ───────────────────────
+  await runTest('field_controls_found unlocks when the right-click panel opens', async (page) => {
+    await freshVisit(page);
+    await page.evaluate(() => {
+      document.querySelector('main').dispatchEvent(
+        new MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+    });
+    await assertToast(page, { achievementId: 'field_controls_found', name: 'Right-Click Rebel' });
+  }, page);
+
+  // ── Test 14: Density dial maxed ─────────────────────────
+  await runTest('density_maxed unlocks only at the top of the Density dial', async (page) => {
+    await freshVisit(page);
+    const setDensity = (value) => page.evaluate((value) => {
+      const dial = document.getElementById('dial-density');
+      dial.value = value;
+      dial.dispatchEvent(new Event('input'));
+    }, value);
+
+    await setDensity(299);
+    await assertNoToast(page, 'density_maxed', 300);
+    await setDensity(300);
+    await assertToast(page, { achievementId: 'density_maxed', name: 'Particle Hoarder' });
+    // The dial wrote a #field= hash; later visits should start from the defaults
+    await page.evaluate(() => history.replaceState(null, '', location.pathname));
+  }, page);
+
+  // ── Test 15: Whole resume scrolled ──────────────────────
+  await runTest('resume_finished unlocks at the bottom of the resume, not before', async (page) => {
+    await freshVisit(page);
+    await page.evaluate(() => window.scrollTo({ top: 600, behavior: 'instant' }));
+    await assertNoToast(page, 'resume_finished', 300);
+    await page.evaluate(() => window.scrollTo({
+      top: document.documentElement.scrollHeight,
+      behavior: 'instant'
+    }));
+    await assertToast(page, { achievementId: 'resume_finished', name: 'Read the Whole Thing' });
+  }, page);
+
+  // ── Test 16: Fit page read ──────────────────────────────
+  await runTest('fit_page_read unlocks at the end of a fit assessment', async (page) => {
+    await page.goto(`${BASE_URL}/fit/`, { waitUntil: 'networkidle0' });
+    const href = await page.evaluate(() => {
+      const link = [...document.querySelectorAll('main a[href*="/fit/"]')]
+        .find(a => new URL(a.href).pathname !== '/fit/');
+      return link ? new URL(link.href).pathname : null;
+    });
+    if (!href) {
+      console.log('     (skipped: this build has no fit pages)');
+      await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
+      return;
+    }
+
+    await freshVisit(page, href);
+    await page.evaluate(() => window.scrollTo({
+      top: document.documentElement.scrollHeight,
+      behavior: 'instant'
+    }));
+    await assertToast(page, { achievementId: 'fit_page_read', name: 'Due Diligence' });
+    await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
+  }, page);
+
+  // ── Test 17: Background toggled off and on ──────────────
+  await runTest('background_toggled unlocks after hiding and re-showing the background', async (page) => {
+    await freshVisit(page);
+    await page.click('#bgc-visible');
+    await assertNoToast(page, 'background_toggled', 600); // covers the 400ms fade
+    await page.click('#bgc-visible');
+    await assertToast(page, { achievementId: 'background_toggled', name: 'Lights Off, Lights On' });
+  }, page);
+
+  // ── Test 18: Konami code ────────────────────────────────
+  await runTest('konami unlocks on the full key sequence, even after a false start', async (page) => {
+    await freshVisit(page);
+    const press = async (keys) => { for (const key of keys) await page.keyboard.press(key); };
+    const code = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown',
+      'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
+
+    await press(code.slice(0, 9).concat('x'));
+    await assertNoToast(page, 'konami', 300);
+    await press(['ArrowUp', ...code]);
+    await assertToast(page, { achievementId: 'konami', name: 'Up Up Down Down' });
+  }, page);
+
+  // ── Test 19: Trophy case ────────────────────────────────
+  await runTest('Alt+Shift+T opens the trophy case with rarity groups, silhouettes and progress', async (page) => {
+    await freshVisit(page);
+    await page.evaluate(() => ACHIEVEMENTS.unlock('coin_clicker'));
+    await page.keyboard.down('Alt');
+    await page.keyboard.down('Shift');
+    await page.keyboard.press('KeyT');
+    await page.keyboard.up('Shift');
+    await page.keyboard.up('Alt');
+    await page.waitForSelector('dialog.trophy-case[open]', { timeout: 2000 });
+
+    const result = await page.evaluate(() => {
+      const dialog = document.querySelector('dialog.trophy-case');
+      const item = (id) => dialog.querySelector(`[data-achievement-id="${id}"]`);
+      const order = ['epic', 'rare', 'uncommon', 'common'];
+      const groups = [...dialog.querySelectorAll('.trophy-case__rarity')].map(h => h.textContent.toLowerCase());
+      const list = ACHIEVEMENTS.list();
+      return {
+        groupsOrdered: groups.every((g, i) => i === 0 || order.indexOf(g) > order.indexOf(groups[i - 1])),
+        items: dialog.querySelectorAll('.trophy').length,
+        total: list.length,
+        progress: dialog.querySelector('.trophy-case__progress').textContent,
+        expected: `1 of ${list.length} unlocked · ${Math.round(100 / list.length)}%`,
+        unlockedName: item('coin_clicker').querySelector('.trophy__name').textContent,
+        unlockedDate: item('coin_clicker').querySelector('time')?.dateTime,
+        lockedName: item('coin_clicker_50').querySelector('.trophy__name').textContent,
+        lockedHint: item('field_controls_found').querySelector('.trophy__desc')?.textContent,
+        silhouette: getComputedStyle(item('coin_clicker_50').querySelector('.trophy__art > *')).filter
+      };
+    });
+
+    console.log(`     ${result.progress}; groups ordered: ${result.groupsOrdered}`);
+    if (!result.groupsOrdered) throw new Error('Rarity groups are out of order');
+    if (result.items !== result.total) throw new Error(`${result.items} entries for ${result.total} achievements`);
+    if (result.progress !== result.expected) throw new Error(`Progress "${result.progress}" != "${result.expected}"`);
+    if (result.unlockedName !== '10 Clicks Hero' || !result.unlockedDate) {
+      throw new Error('The unlocked achievement is missing its name or date');
+    }
+    if (result.lockedName === '50 Clicks Legend') throw new Error('A locked achievement revealed its name');
+    if (result.lockedHint !== 'The background has a context menu.') throw new Error('A locked hint is missing');
+    if (result.silhouette === 'none') throw new Error('Locked art is not drawn as a silhouette');
+
+    await page.keyboard.press('Escape');
+    const closed = await page.evaluate(() => !window.TROPHY_CASE.isOpen);
+    if (!closed) throw new Error('Escape did not close the trophy case');
+  }, page);
+
+  // ── Test 20: Toast opens the trophy case ────────────────
+  await runTest('Clicking a toast opens the trophy case at that achievement', async (page) => {
+    await freshVisit(page);
+    await page.evaluate(() => ACHIEVEMENTS.unlock('konami'));
+    await page.waitForSelector(`${TOAST_SEL}[data-achievement-id="konami"]`, { timeout: 2000 });
+    await new Promise(r => setTimeout(r, 400)); // let it finish sliding in
+    await page.click(`${TOAST_SEL}[data-achievement-id="konami"]`);
+    await page.waitForSelector('dialog.trophy-case[open] .trophy.is-highlighted[data-achievement-id="konami"]', { timeout: 2000 });
+    await page.evaluate(() => window.TROPHY_CASE.close());
+  }, page);
+
+  // ── Test 21: Toast queue and announcer ──────────────────
+  await runTest('Simultaneous unlocks queue behind MAX_VISIBLE toasts and are announced', async (page) => {
+    await freshVisit(page);
+    await page.mouse.move(0, 0); // a pointer resting on a toast would hold it
+    const ids = ['coin_clicker', 'coin_clicker_50', 'konami', 'field_controls_found', 'density_maxed'];
+    const first = await page.evaluate((ids) => {
+      // Record every message added to the live region, including ones
+      // already gone again by the time the queue has drained
+      const announcer = document.querySelector('.ach-announcer');
+      window._announced = [];
+      new MutationObserver(records => records.forEach(r =>
+        r.addedNodes.forEach(node => window._announced.push(node.textContent))
+      )).observe(announcer, { childList: true });
+
+      ids.forEach(id => ACHIEVEMENTS.unlock(id));
+      return {
+        max: ACHIEVEMENTS.MAX_VISIBLE,
+        visible: document.querySelectorAll('.ani_div').length,
+        queued: ACHIEVEMENTS.queue.length,
+        live: announcer?.getAttribute('aria-live')
+      };
+    }, ids);
+
+    console.log(`     ${first.visible} visible, ${first.queued} queued`);
+    if (first.visible !== first.max) throw new Error(`${first.visible} toasts on screen, expected ${first.max}`);
+    if (first.queued !== ids.length - first.max) throw new Error(`${first.queued} toasts queued`);
+    if (first.live !== 'polite') throw new Error('The announcer is not a polite live region');
+
+    // The queued toasts follow once the first ones finish
+    await page.waitForSelector(`${TOAST_SEL}[data-achievement-id="${ids[ids.length - 1]}"]`, { timeout: 5000 });
+    const later = await page.evaluate((ids) => ({
+      visible: document.querySelectorAll('.ani_div').length,
+      announced: window._announced,
+      expected: ids.map(id => `Achievement unlocked: ${ACHIEVEMENT_DEFS[id].name}. ${ACHIEVEMENT_DEFS[id].description}`)
+    }), ids);
+    if (later.visible > first.max) throw new Error(`${later.visible} toasts on screen after the queue advanced`);
+    const missing = later.expected.filter(text => !later.announced.includes(text));
+    if (missing.length) throw new Error(`Never announced: ${missing.join(' | ')}`);
+  }, page);
+
+  // ── Test 22: Hover holds a toast; dismiss removes it ────
+  await runTest('Hovering holds a toast past its animation and × dismisses it', async (page) => {
+    await freshVisit(page);
+    await page.evaluate(() => ACHIEVEMENTS.unlock('konami'));
+    const toast = `${TOAST_SEL}[data-achievement-id="konami"]`;
+    await page.waitForSelector(toast, { timeout: 2000 });
+    await new Promise(r => setTimeout(r, 400)); // let it finish sliding in
+    await page.hover(toast);
+    await new Promise(r => setTimeout(r, 3500));
+    if (!(await page.$(toast))) throw new Error('The toast left while hovered');
+
+    await page.click(`${toast} .ach-dismiss`);
+    const result = await page.evaluate(() => ({
+      gone: !document.querySelector('.ani_div[data-achievement-id="konami"]'),
+      caseOpen: window.TROPHY_CASE.isOpen
+    }));
+    if (!result.gone) throw new Error('Dismiss did not remove the toast');
+    if (result.caseOpen) throw new Error('Dismiss also opened the trophy case');
+  }, page);
+
+  // ── Test 23: Toasts work from the keyboard ──────────────
+  await runTest('A focused toast opens the trophy case with Enter', async (page) => {
+    await freshVisit(page);
+    await page.evaluate(() => ACHIEVEMENTS.unlock('konami'));
+    const toast = `${TOAST_SEL}[data-achievement-id="konami"]`;
+    await page.waitForSelector(toast, { timeout: 2000 });
+    await page.focus(`${toast} .ach-open`);
+    await page.keyboard.press('Enter');
+    await page.waitForSelector('dialog.trophy-case[open] .trophy.is-highlighted[data-achievement-id="konami"]', { timeout: 2000 });
+    await page.evaluate(() => window.TROPHY_CASE.close());
+  }, page);
+
   // ── ADD FUTURE ACHIEVEMENT TESTS HERE ───────────────────
   // Pattern:
   //
   //   await runTest('description of the specific behavior', async (page) => {
-  //     await page.reload({ waitUntil: 'networkidle0' });
+  //     await freshVisit(page);
   //     // Optional: fast-forward any counter
-  //     // await page.evaluate(() => { coinClickCounter = N; });
+  //     // await setCounter(page, 'counter_name', N);
   //     // Trigger the behavior, then assert:
   //     await assertToast(page, {
   //       achievementId: 'your_achievement_id',
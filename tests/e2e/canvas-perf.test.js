@@ -8,15 +8,26 @@
  *   2. Canvas not animating — draw rate too low or zero.
  *
  * HOW IT WORKS
- *   `draw()` is a private function inside bg-field.js's IIFE, so it cannot
- *   be patched directly. Instead we intercept CanvasRenderingContext2D.clearRect,
- *   which draw() calls exactly once per frame. This gives us a precise draw
- *   call count without touching bg-field.js.
+ *   Frames are drawn by bg-field-sim.js, usually inside a Web Worker on an
+ *   OffscreenCanvas, so page-side canvas patches never see them. Instead we
+ *   read FIELD.stats.frames, which bg-field.js increments once for every
+ *   frame the simulation host reports (static redraws are not counted).
  *
  * THRESHOLDS
  *   - Min  25 draws/s  — canvas is actively animating
  *   - Max  90 draws/s  — catches a sustained double-draw loop (~120/s)
  *   Expected steady state on a 60 Hz display: ~55–65 draws/s.
+ *   - Density scaling, two checks:
+ *     · frame time — mean frame time at density 600 must stay within 25% of
+ *       density 160 (the loop still keeps up with the display). On a fast
+ *       machine vsync pins both near 16.7ms, so this alone can pass with an
+ *       O(n²) pair scan; hence the second check.
+ *     · work — with 4x the points on 4x the area (same spacing), the sim's
+ *       mean work per frame may grow at most 5x: linear, not the 16x of a
+ *       scan over every pair. Equal spacing is needed because at a fixed
+ *       viewport the links drawn grow with n² whatever the pair search.
+ *   - Quality governor — under 8x CPU throttling at density 600, FIELD.quality
+ *     must leave "high" within 15s.
  *
  * RUN:
  *   npm test
@@ -28,6 +39,36 @@ import { BASE_URL } from '../helpers/server.js';
 const SAMPLE_MS    = 2000;  // measure window
 const MIN_DRAWS_PS = 25;    // canvas must be running
 const MAX_DRAWS_PS = 90;    // double-draw ceiling (~120/s when broken)
+const DENSITY_LOW  = 160;
+const DENSITY_HIGH = 600;
+const MAX_FRAME_TIME_GROWTH = 1.25; // frame time at DENSITY_HIGH vs DENSITY_LOW
+// Density scaling: SCALE_FACTOR² times the points on SCALE_FACTOR² times the
+// viewport area keeps the spacing, so each point has as many neighbours.
+// Frame intervals are pinned to vsync on a fast machine, so the sim's own
+// work per frame is what's compared.
+const SCALE_FACTOR    = 2;
+const MAX_WORK_GROWTH = 5;   // linear would be 4x, every pair 16x
+const CPU_THROTTLE_RATE = 8;  // slowdown for the quality governor scenario
+
+/**
+ * Set FIELD.density, regenerate the points, and sample FIELD.stats for
+ * SAMPLE_MS. Returns mean frame time (ms between frames), mean work
+ * (ms spent inside draw()) and the quality tier at the end, or null if no
+ * frames were drawn.
+ */
+async function sampleFrameTime(page, density) {
+  return page.evaluate(async (density, ms) => {
+    window.FIELD.density = density;
+    window.createPoints();
+    // Let the grid and connection counts settle before measuring
+    await new Promise(resolve => setTimeout(resolve, 300));
+    window.FIELD.stats.frames = 0;
+    window.FIELD.stats.workMs = 0;
+    await new Promise(resolve => setTimeout(resolve, ms));
+    const { frames, workMs } = window.FIELD.stats;
+    return frames ? { frameMs: ms / frames, workMs: workMs / frames, quality: window.FIELD.quality } : null;
+  }, density, SAMPLE_MS);
+}
 
 let passed = 0;
 let failed = 0;
@@ -44,35 +85,31 @@ async function runTest(name, fn, page) {
   }
 }
 
+/**
+ * Count frames reported in FIELD.stats over `ms` milliseconds.
+ */
+async function countFrames(page, ms) {
+  return page.evaluate((ms) => {
+    const start = window.FIELD.stats.frames;
+    return new Promise(resolve => setTimeout(() => resolve(window.FIELD.stats.frames - start), ms));
+  }, ms);
+}
+
 (async () => {
   console.log('🎨 Starting canvas performance tests...\n');
 
-  const browser = await puppeteer.launch({ headless: true });
+  // Audio contexts start running without a click (Test 20 feeds FIELD.listen)
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ['--autoplay-policy=no-user-gesture-required']
+  });
 
-  // ── Inject clearRect counter before any script runs ──────────────────────
-  // Must be done per-page before navigation via evaluateOnNewDocument.
   const page = await browser.newPage();
 
   page.on('console', msg => {
     if (msg.type() === 'error') console.log(`  [browser error] ${msg.text()}`);
   });
 
-  await page.evaluateOnNewDocument(() => {
-    // Guard: evaluateOnNewDocument re-runs on every navigation (including reloads).
-    // Only install the patch once per document — the flag prevents double-wrapping.
-    if (window.__clearRectPatched) return;
-    window.__clearRectPatched = true;
-    window._drawStats = { count: 0, startedAt: null };
-    const _origClearRect = CanvasRenderingContext2D.prototype.clearRect;
-    CanvasRenderingContext2D.prototype.clearRect = function (...args) {
-      if (window._drawStats.startedAt === null) {
-        window._drawStats.startedAt = performance.now();
-      }
-      window._drawStats.count++;
-      return _origClearRect.apply(this, args);
-    };
-  });
-
   await page.setViewport({ width: 1280, height: 900 });
 
   try {
@@ -85,18 +122,11 @@ async function runTest(name, fn, page) {
 
   // ── Test 1: Canvas is animating ──────────────────────────────────────────
   await runTest('Canvas is actively drawing frames', async (page) => {
-    // Wait for FIELD to be ready (prefersReducedMotion may not exist on all branches)
-    await page.waitForFunction(() => window.FIELD !== undefined, { timeout: 5000 });
-
-    // Reset stats and sample for SAMPLE_MS
-    await page.evaluate((ms) => {
-      window._drawStats = { count: 0, startedAt: null };
-      return new Promise(resolve => setTimeout(resolve, ms));
-    }, SAMPLE_MS);
+    await page.waitForFunction(() => window.FIELD?.stats !== undefined, { timeout: 5000 });
 
-    const { count, startedAt } = await page.evaluate(() => window._drawStats);
+    const count = await countFrames(page, SAMPLE_MS);
 
-    if (startedAt === null || count === 0) {
+    if (count === 0) {
       throw new Error('Canvas never drew — bg-field.js may not be running');
     }
 
@@ -114,17 +144,11 @@ async function runTest(name, fn, page) {
 
   // ── Test 2: No double-draw loop ──────────────────────────────────────────
   await runTest(`Draw rate below double-draw ceiling (${MAX_DRAWS_PS}/s)`, async (page) => {
-    // Fresh load so the init path fires cleanly. The evaluateOnNewDocument
-    // script installed above re-runs here; the guard prevents double-patching.
+    // Fresh load so the init path fires cleanly.
     await page.reload({ waitUntil: 'networkidle0' });
-    await page.waitForFunction(() => window.FIELD !== undefined, { timeout: 5000 });
+    await page.waitForFunction(() => window.FIELD?.stats !== undefined, { timeout: 5000 });
 
-    await page.evaluate((ms) => {
-      window._drawStats = { count: 0, startedAt: null };
-      return new Promise(resolve => setTimeout(resolve, ms));
-    }, SAMPLE_MS);
-
-    const { count } = await page.evaluate(() => window._drawStats);
+    const count = await countFrames(page, SAMPLE_MS);
     const rate = count / (SAMPLE_MS / 1000);
 
     console.log(`     Draw rate: ${rate.toFixed(1)} draws/s (ceiling: ${MAX_DRAWS_PS}/s)`);
@@ -132,8 +156,8 @@ async function runTest(name, fn, page) {
     if (rate > MAX_DRAWS_PS) {
       throw new Error(
         `Draw rate ${rate.toFixed(1)}/s exceeds ceiling of ${MAX_DRAWS_PS}/s. ` +
-        `Likely cause: double-draw on init (bg-field.js ~line 630 calls draw() ` +
-        `while init block already queued requestAnimationFrame(draw)).`
+        `Likely cause: double-draw on init (the simulation host started a second ` +
+        `frame loop while one was already running).`
       );
     }
   }, page);
@@ -153,19 +177,14 @@ async function runTest(name, fn, page) {
     });
 
     await page.reload({ waitUntil: 'networkidle0' });
-    await page.waitForFunction(() => window.FIELD !== undefined, { timeout: 5000 });
+    await page.waitForFunction(() => window.FIELD?.stats !== undefined, { timeout: 5000 });
 
-    await page.evaluate((ms) => {
-      window._drawStats = { count: 0, startedAt: null };
-      return new Promise(resolve => setTimeout(resolve, ms));
-    }, 1000);
-
-    const { count } = await page.evaluate(() => window._drawStats);
+    const count = await countFrames(page, 1000);
 
     if (count > 0) {
       throw new Error(
         `Canvas drew ${count} time(s) despite prefers-reduced-motion: reduce. ` +
-        `bg-field.js should stop the RAF loop when reducedMotion is true.`
+        `bg-field.js should stop the frame loop when reducedMotion is true.`
       );
     }
 
@@ -191,18 +210,13 @@ async function runTest(name, fn, page) {
 
       await page.evaluate(() => window.FIELD.pause());
 
-      await page.evaluate((ms) => {
-        window._drawStats = { count: 0, startedAt: null };
-        return new Promise(resolve => setTimeout(resolve, ms));
-      }, 1000);
-
-      const { count } = await page.evaluate(() => window._drawStats);
+      const count = await countFrames(page, 1000);
 
       console.log(`     Draw count after pause: ${count} (expected 0)`);
 
       if (count > 0) {
         throw new Error(
-          `Canvas drew ${count} time(s) after FIELD.pause(). RAF loop should be stopped.`
+          `Canvas drew ${count} time(s) after FIELD.pause(). Frame loop should be stopped.`
         );
       }
     }, page);
@@ -216,34 +230,787 @@ async function runTest(name, fn, page) {
       await page.evaluate(() => window.FIELD.setVisible(false));
       await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 500)));
 
-      await page.evaluate((ms) => {
-        window._drawStats = { count: 0, startedAt: null };
-        return new Promise(resolve => setTimeout(resolve, ms));
-      }, 1000);
-
-      const { count } = await page.evaluate(() => window._drawStats);
+      const count = await countFrames(page, 1000);
 
       console.log(`     Draw count after setVisible(false): ${count} (expected 0)`);
 
       if (count > 0) {
         throw new Error(
-          `Canvas drew ${count} time(s) after setVisible(false) fade completed. RAF loop should be stopped.`
+          `Canvas drew ${count} time(s) after setVisible(false) fade completed. Frame loop should be stopped.`
         );
       }
     }, page);
+
+    // ── Test 5b: Playback buttons follow state changed outside them ────────
+    await runTest('bg-controls buttons follow FIELD events from the console', async (page) => {
+      await page.reload({ waitUntil: 'networkidle0' });
+      await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+      const labels = await page.evaluate(async () => {
+        const events = [];
+        ['pause', 'play', 'visibilitychange'].forEach((type) => window.FIELD.on(type, () => events.push(type)));
+        const play = document.getElementById('bgc-play');
+        const vis = document.getElementById('bgc-visible');
+        window.FIELD.pause();
+        const paused = play.getAttribute('aria-label');
+        window.FIELD.play();
+        const resumed = play.getAttribute('aria-label');
+        window.FIELD.setVisible(false);
+        const hidden = vis.getAttribute('aria-label');
+        return { paused, resumed, hidden, events };
+      });
+
+      console.log(`     events: ${labels.events.join(', ')}`);
+      if (labels.paused !== 'Play animation') throw new Error(`After pause(): "${labels.paused}"`);
+      if (labels.resumed !== 'Pause animation') throw new Error(`After play(): "${labels.resumed}"`);
+      if (labels.hidden !== 'Show background') throw new Error(`After setVisible(false): "${labels.hidden}"`);
+    }, page);
+
+    // ── Test 5c: Playback buttons without a field host ────────────────────
+    await runTest('bg-controls buttons are disabled when the field host fails to load', async () => {
+      // Separate page: the blocked requests must not leak into the other tests
+      const brokenPage = await browser.newPage();
+      await brokenPage.setRequestInterception(true);
+      brokenPage.on('request', (request) => {
+        if (/bg-field-(sim|worker)\.js/.test(request.url())) request.abort();
+        else request.continue();
+      });
+      await brokenPage.setViewport({ width: 1280, height: 900 });
+      await brokenPage.goto(BASE_URL, { waitUntil: 'networkidle0' });
+      await brokenPage.waitForFunction(() => document.getElementById('bgc-play').disabled, { timeout: 5000 })
+        .catch(() => {});
+
+      const state = await brokenPage.evaluate(() =>
+        ['bgc-play', 'bgc-visible', 'bgc-reset'].map(id => document.getElementById(id).disabled));
+      await brokenPage.close();
+
+      console.log(`     disabled: ${state.join(', ')}`);
+      if (!state.every(Boolean)) throw new Error('Playback buttons stayed enabled without a field host');
+    });
   } else {
     console.log('  ⏭  Pause/visibility idle tests skipped (playback controls not present on this branch)');
   }
 
+  // ── Test 6: Frame time stays flat as density grows ──────────────────────
+  await runTest(`Frame time stays flat from density ${DENSITY_LOW} to ${DENSITY_HIGH}`, async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.stats !== undefined, { timeout: 5000 });
+
+    const low  = await sampleFrameTime(page, DENSITY_LOW);
+    const high = await sampleFrameTime(page, DENSITY_HIGH);
+
+    if (!low || !high) {
+      throw new Error('No frames drawn while sampling — bg-field.js may not be running');
+    }
+
+    const growth = high.frameMs / low.frameMs;
+    console.log(`     Density ${DENSITY_LOW}: ${low.frameMs.toFixed(1)}ms/frame (${low.workMs.toFixed(2)}ms work)`);
+    console.log(`     Density ${DENSITY_HIGH}: ${high.frameMs.toFixed(1)}ms/frame (${high.workMs.toFixed(2)}ms work)`);
+
+    if (growth > MAX_FRAME_TIME_GROWTH) {
+      throw new Error(
+        `Frame time grew x${growth.toFixed(2)} from density ${DENSITY_LOW} to ${DENSITY_HIGH} ` +
+        `(max x${MAX_FRAME_TIME_GROWTH}). Neighbour queries may be scanning every point.`
+      );
+    }
+  }, page);
+
+  // ── Test 6b: Sim work grows linearly with the point count ───────────────
+  // Regression guard for the spatial hash grid. With the old O(n²) pair scan
+  // (plus an O(n) connection count per disturbed point) every point checks
+  // every other; neighbour queries only visit nearby cells, so at the same
+  // spacing the work per point stays put.
+  const scaledDensity = DENSITY_LOW * SCALE_FACTOR ** 2;
+  await runTest(`Sim work grows linearly from ${DENSITY_LOW} to ${scaledDensity} points at equal spacing`, async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.stats !== undefined, { timeout: 5000 });
+
+    const low = await sampleFrameTime(page, DENSITY_LOW);
+    await page.setViewport({ width: 1280 * SCALE_FACTOR, height: 900 * SCALE_FACTOR });
+    const high = await sampleFrameTime(page, scaledDensity);
+    await page.setViewport({ width: 1280, height: 900 });
+
+    if (!low || !high) {
+      throw new Error('No frames drawn while sampling — bg-field.js may not be running');
+    }
+
+    const growth = high.workMs / low.workMs;
+    console.log(`     ${DENSITY_LOW} points: ${low.workMs.toFixed(2)}ms work/frame (${low.frameMs.toFixed(1)}ms/frame)`);
+    console.log(`     ${scaledDensity} points: ${high.workMs.toFixed(2)}ms work/frame (${high.frameMs.toFixed(1)}ms/frame)`);
+
+    if (low.quality !== 'high' || high.quality !== 'high') {
+      throw new Error(`Quality governor stepped down (${low.quality} → ${high.quality}); point counts are not comparable`);
+    }
+    if (growth > MAX_WORK_GROWTH) {
+      throw new Error(
+        `Sim work grew x${growth.toFixed(2)} for x${SCALE_FACTOR ** 2} points at equal spacing ` +
+        `(max x${MAX_WORK_GROWTH}). Neighbour queries may be scanning every point.`
+      );
+    }
+  }, page);
+
+  // ── Test 7: Simulation runs in a worker, with a main-thread fallback ────
+  await runTest('Simulation runs in a worker when OffscreenCanvas is available', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.thread !== null, { timeout: 5000 });
+    const thread = await page.evaluate(() => window.FIELD.thread);
+    console.log(`     FIELD.thread: ${thread}`);
+    if (thread !== 'worker') throw new Error(`Expected FIELD.thread "worker", got "${thread}"`);
+  }, page);
+
+  await runTest('Falls back to the main-thread loop without OffscreenCanvas', async () => {
+    // Separate page: the patch below must not leak into the other tests
+    const fallbackPage = await browser.newPage();
+    await fallbackPage.evaluateOnNewDocument(() => {
+      delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+    });
+    await fallbackPage.setViewport({ width: 1280, height: 900 });
+    await fallbackPage.goto(BASE_URL, { waitUntil: 'networkidle0' });
+    await fallbackPage.waitForFunction(() => window.FIELD?.thread !== null, { timeout: 5000 });
+
+    const thread = await fallbackPage.evaluate(() => window.FIELD.thread);
+    const count = await countFrames(fallbackPage, 1000);
+    await fallbackPage.close();
+
+    console.log(`     FIELD.thread: ${thread}, frames in 1s: ${count}`);
+    if (thread !== 'main') throw new Error(`Expected FIELD.thread "main", got "${thread}"`);
+    if (count < MIN_DRAWS_PS) {
+      throw new Error(`Main-thread fallback drew ${count} frames in 1s (min ${MIN_DRAWS_PS}).`);
+    }
+  });
+
+  // ── Test 8: Renderer backend is chosen at init ──────────────────────────
+  await runTest('FIELD.renderer reports the active backend', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+    const renderer = await page.evaluate(() => window.FIELD.renderer);
+    console.log(`     FIELD.renderer: ${renderer}`);
+    if (!['webgl2', '2d'].includes(renderer)) {
+      throw new Error(`Expected FIELD.renderer "webgl2" or "2d", got "${renderer}"`);
+    }
+  }, page);
+
+  await runTest('Falls back to the 2D renderer without WebGL2', async () => {
+    // Main-thread host so the getContext patch below is the one the sim sees
+    const fallbackPage = await browser.newPage();
+    await fallbackPage.evaluateOnNewDocument(() => {
+      delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+      const getContext = HTMLCanvasElement.prototype.getContext;
+      HTMLCanvasElement.prototype.getContext = function (type, ...args) {
+        return type === 'webgl2' ? null : getContext.call(this, type, ...args);
+      };
+    });
+    await fallbackPage.setViewport({ width: 1280, height: 900 });
+    await fallbackPage.goto(BASE_URL, { waitUntil: 'networkidle0' });
+    await fallbackPage.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const renderer = await fallbackPage.evaluate(() => window.FIELD.renderer);
+    const count = await countFrames(fallbackPage, 1000);
+    await fallbackPage.close();
+
+    console.log(`     FIELD.renderer: ${renderer}, frames in 1s: ${count}`);
+    if (renderer !== '2d') throw new Error(`Expected FIELD.renderer "2d", got "${renderer}"`);
+    if (count < MIN_DRAWS_PS) {
+      throw new Error(`2D fallback drew ${count} frames in 1s (min ${MIN_DRAWS_PS}).`);
+    }
+  });
+
+  // ── Test 8b: Quality governor steps down under CPU pressure ─────────────
+  // CPU throttling is emulated for the page's main thread, so the host is
+  // kept there (no OffscreenCanvas) for the governor to feel it.
+  await runTest(`Quality governor steps down with ${CPU_THROTTLE_RATE}x CPU throttling`, async () => {
+    const slowPage = await browser.newPage();
+    await slowPage.evaluateOnNewDocument(() => {
+      delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+    });
+    await slowPage.setViewport({ width: 1280, height: 900 });
+    await slowPage.goto(BASE_URL, { waitUntil: 'networkidle0' });
+    await slowPage.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const before = await slowPage.evaluate(() => window.FIELD.quality);
+    await slowPage.evaluate((density) => { window.FIELD.density = density; }, DENSITY_HIGH);
+    await slowPage.emulateCPUThrottling(CPU_THROTTLE_RATE);
+
+    let after = before;
+    try {
+      await slowPage.waitForFunction(() => window.FIELD.quality !== 'high', { timeout: 15000 });
+    } finally {
+      after = await slowPage.evaluate(() => window.FIELD.quality);
+      await slowPage.emulateCPUThrottling(1);
+      await slowPage.close();
+    }
+
+    console.log(`     FIELD.quality: ${before} → ${after}`);
+    if (before !== 'high') throw new Error(`Expected to start at "high", got "${before}"`);
+  });
+
+  // ── Test 9: Multi-touch pointer sources ─────────────────────────────────
+  // Two touch points each become their own source; lifting one removes only
+  // that source, and pen pressure scales intensity.
+  await runTest('FIELD.pointers tracks one source per touch point', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.pointers !== undefined, { timeout: 5000 });
+    await new Promise(r => setTimeout(r, 200)); // listeners attach after 100ms
+
+    const result = await page.evaluate(() => {
+      const fire = (type, init) => window.dispatchEvent(new PointerEvent(type, init));
+      fire('pointerdown', { pointerId: 11, pointerType: 'touch', clientX: 100, clientY: 100, isPrimary: true });
+      fire('pointerdown', { pointerId: 12, pointerType: 'touch', clientX: 400, clientY: 300 });
+      fire('pointermove', { pointerId: 12, pointerType: 'touch', clientX: 430, clientY: 340 });
+      const twoTouches = window.FIELD.pointers;
+      fire('pointerup', { pointerId: 11, pointerType: 'touch', clientX: 100, clientY: 100 });
+      const afterLift = window.FIELD.pointers.length;
+      fire('pointerup', { pointerId: 12, pointerType: 'touch', clientX: 430, clientY: 340 });
+      fire('pointermove', { pointerId: 13, pointerType: 'pen', clientX: 200, clientY: 200, pressure: 1 });
+      const pen = window.FIELD.pointers[0];
+      fire('pointercancel', { pointerId: 13, pointerType: 'pen' });
+      return { twoTouches, afterLift, pen, remaining: window.FIELD.pointers.length };
+    });
+
+    console.log(`     sources: ${result.twoTouches.length}, after lift: ${result.afterLift}, pen intensity: ${result.pen.intensity}`);
+    if (result.twoTouches.length !== 2) throw new Error(`Expected 2 sources, got ${result.twoTouches.length}`);
+    const moved = result.twoTouches.find(s => s.x === 430);
+    if (!moved || moved.vx !== 30 || moved.vy !== 40) {
+      throw new Error(`Expected per-pointer velocity (30, 40), got ${JSON.stringify(moved)}`);
+    }
+    if (result.afterLift !== 1) throw new Error(`Expected 1 source after lift, got ${result.afterLift}`);
+    if (result.pen.intensity <= 1) throw new Error(`Expected full pen pressure to raise intensity, got ${result.pen.intensity}`);
+    if (result.remaining !== 0) throw new Error(`Expected no sources after cancel, got ${result.remaining}`);
+  }, page);
+
+  // ── Test 10: Pluggable forces ───────────────────────────────────────────
+  await runTest('FIELD.addForce registers, reports errors and removes forces', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const builtins = await page.evaluate(() => Object.keys(window.FIELD.forces));
+    console.log(`     built-in forces: ${builtins.join(', ')}`);
+    for (const name of ['element', 'mouse', 'scroll']) {
+      if (!builtins.includes(name)) throw new Error(`Missing built-in force "${name}"`);
+    }
+
+    // A throwing force is switched off by the host without stalling the loop
+    await page.evaluate(() => {
+      window.FIELD.forces.mouse.enabled = false;
+      window.FIELD.addForce('broken', () => { throw new Error('boom'); });
+    });
+    await page.waitForFunction(() => window.FIELD.forces.broken.enabled === false, { timeout: 5000 });
+    const count = await countFrames(page, 1000);
+    console.log(`     frames in 1s after a force error: ${count}`);
+    if (count < MIN_DRAWS_PS) throw new Error(`Only ${count} frames drawn after a force error`);
+
+    const removed = await page.evaluate(() => ({
+      custom: window.FIELD.removeForce('broken'),
+      builtin: window.FIELD.removeForce('mouse'),
+      left: Object.keys(window.FIELD.forces)
+    }));
+    if (!removed.custom || removed.left.includes('broken')) throw new Error('Custom force was not removed');
+    if (removed.builtin || !removed.left.includes('mouse')) throw new Error('Built-in force should not be removable');
+  }, page);
+
+  // ── Test 11: Snapshots and recording ────────────────────────────────────
+  await runTest('FIELD.snapshot() and FIELD.record() capture while paused', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const result = await page.evaluate(async () => {
+      window.FIELD.pause();
+      const size = async (blob) => {
+        const bitmap = await createImageBitmap(blob);
+        return { type: blob.type, width: bitmap.width, height: bitmap.height };
+      };
+      const snapshot = await size(await window.FIELD.snapshot({ scale: 2 }));
+      const frames = await window.FIELD.record({ seconds: 0.5, fps: 10, format: 'png' });
+      const webm = await window.FIELD.record({ seconds: 0.5, fps: 10 });
+      return {
+        snapshot,
+        expected: { width: innerWidth * devicePixelRatio * 2, height: innerHeight * devicePixelRatio * 2 },
+        frameCount: frames.length,
+        frameType: frames[0].type,
+        webm: { type: webm.type, size: webm.size },
+        playing: window.FIELD.isPlaying()
+      };
+    });
+
+    console.log(`     snapshot: ${result.snapshot.width}x${result.snapshot.height}, png frames: ${result.frameCount}, webm: ${result.webm.size} bytes`);
+    if (result.snapshot.type !== 'image/png') throw new Error(`Snapshot type "${result.snapshot.type}"`);
+    if (result.snapshot.width !== result.expected.width || result.snapshot.height !== result.expected.height) {
+      throw new Error(`Snapshot ${result.snapshot.width}x${result.snapshot.height}, expected ${result.expected.width}x${result.expected.height}`);
+    }
+    if (result.frameCount !== 5 || result.frameType !== 'image/png') {
+      throw new Error(`Expected 5 PNG frames, got ${result.frameCount} (${result.frameType})`);
+    }
+    if (!result.webm.type.startsWith('video/webm') || result.webm.size === 0) {
+      throw new Error(`Expected a non-empty WebM, got ${result.webm.size} bytes of "${result.webm.type}"`);
+    }
+    if (result.playing) throw new Error('Recording resumed a paused field');
+  }, page);
+
+  // ── Test 12: Theme from CSS custom properties ───────────────────────────
+  await runTest('Field palette follows --field-mood-N when <html data-theme> changes', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const tint = await page.evaluate(async () => {
+      window.FIELD.pause();
+      const style = document.createElement('style');
+      // A single red stop; "initial" ends the stop list after it
+      style.textContent = ':root[data-theme="test"] { --field-mood-1: rgb(255 0 0); --field-mood-2: initial; }';
+      document.head.appendChild(style);
+      document.documentElement.dataset.theme = 'test';
+
+      const bitmap = await createImageBitmap(await window.FIELD.snapshot());
+      const ctx = new OffscreenCanvas(bitmap.width, bitmap.height).getContext('2d');
+      ctx.drawImage(bitmap, 0, 0);
+      const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+      const sum = { r: 0, g: 0, b: 0 };
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue; // skip the faint background tint
+        sum.r += data[i]; sum.g += data[i + 1]; sum.b += data[i + 2];
+      }
+      return sum;
+    });
+
+    console.log(`     opaque pixel channel sums: r=${tint.r} g=${tint.g} b=${tint.b}`);
+    if (!(tint.r > tint.g && tint.r > tint.b)) {
+      throw new Error('Expected the field to turn red after switching data-theme');
+    }
+  }, page);
+
+  // ── Test 13: Name formation ─────────────────────────────────────────────
+  await runTest("FIELD.form('name') forms from a cached mask and releases", async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const result = await page.evaluate(async () => {
+      const mask = window.FIELD.nameMask;
+      window.scrollBy(0, 200);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const cachedAcrossScroll = window.FIELD.nameMask === mask;
+
+      const events = [];
+      window.FIELD.on('formation', (e) => events.push(e.active));
+      const start = performance.now();
+      await window.FIELD.form('name', { durationMs: 500 });
+      return { maskSize: mask.length, cachedAcrossScroll, events, elapsed: performance.now() - start };
+    });
+
+    console.log(`     mask points: ${result.maskSize}, held for ${result.elapsed.toFixed(0)}ms`);
+    if (!result.maskSize) throw new Error('FIELD.nameMask is empty');
+    if (!result.cachedAcrossScroll) throw new Error('Name mask was rebuilt on scroll');
+    if (result.events.join() !== 'true,false') throw new Error(`Unexpected formation events: ${result.events}`);
+    if (result.elapsed < 400) throw new Error(`Released after ${result.elapsed.toFixed(0)}ms, expected ~500ms`);
+  }, page);
+
+  // ── Test 14: Text / path formations ─────────────────────────────────────
+  await runTest('FIELD.formText / formPath dissolve back; reduced motion renders statically', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const animated = await page.evaluate(async () => {
+      const events = [];
+      window.FIELD.on('formation', (e) => events.push(e.active));
+      const text = window.FIELD.formText('HELLO', { durationMs: 200 });
+      const path = window.FIELD.formPath('M0 0 H100 V100 H0 Z', { size: 200, durationMs: 200 });
+      await Promise.all([text, path]);
+      return events.join();
+    });
+    // The path replaces the text before it finishes, so only one release
+    if (animated !== 'true,false,true,false') throw new Error(`Unexpected formation events: ${animated}`);
+
+    const client = await page.createCDPSession();
+    await client.send('Emulation.setEmulatedMedia', {
+      features: [{ name: 'prefers-reduced-motion', value: 'reduce' }],
+    });
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const formedStatically = await page.evaluate(async () => {
+      const start = performance.now();
+      await window.FIELD.formText('HELLO');
+      return performance.now() - start;
+    });
+    const frames = await countFrames(page, 500);
+    await client.send('Emulation.setEmulatedMedia', {
+      features: [{ name: 'prefers-reduced-motion', value: 'no-preference' }],
+    });
+
+    console.log(`     reduced motion: formed in ${formedStatically.toFixed(0)}ms, frames after: ${frames}`);
+    if (formedStatically > 100) throw new Error('Reduced-motion formation should resolve immediately');
+    if (frames > 0) throw new Error(`Reduced-motion formation animated ${frames} frame(s)`);
+  }, page);
+
+  // ── Test 15: Avoidance bounds follow the DOM ────────────────────────────
+  await runTest('FIELD.elementBounds follows added, resized, reshaped and removed elements', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const result = await page.evaluate(async () => {
+      // Observer callbacks run after layout, then the rebuild waits a frame
+      const frames = (n) => new Promise(resolve => {
+        const tick = () => (--n ? requestAnimationFrame(tick) : resolve());
+        requestAnimationFrame(tick);
+      });
+      const bounds = () => window.FIELD.elementBounds;
+      const before = bounds().length;
+      const coinFixed = bounds().some(b => b.fixed && b.radius > 0);
+
+      // Each rebuild measures every element once, so spying on one counts rebuilds
+      const anchor = document.querySelector('[data-particle-disturbance]');
+      const bcr = anchor.getBoundingClientRect.bind(anchor);
+      let rebuilds = 0;
+      anchor.getBoundingClientRect = () => { rebuilds++; return bcr(); };
+
+      const boxes = Array.from({ length: 10 }, () => {
+        const el = document.createElement('div');
+        el.setAttribute('data-particle-disturbance', '');
+        el.style.cssText = 'position:absolute;left:100px;top:300px;width:80px;height:80px';
+        document.body.appendChild(el);
+        return el;
+      });
+      await frames(3);
+      const added = bounds().length - before;
+      const addRebuilds = rebuilds;
+
+      boxes[0].style.height = '200px';
+      await frames(3);
+      const grown = bounds().some(b => b.bottom - b.top === 200 + 16);
+
+      boxes[1].dataset.particleDisturbanceShape = 'circle';
+      await frames(3);
+      const circle = bounds().some(b => b.radius === 40 + 8);
+
+      boxes.forEach(el => el.remove());
+      await frames(3);
+      return { coinFixed, added, addRebuilds, grown, circle, removed: bounds().length === before };
+    });
+
+    console.log(`     added: ${result.added}, rebuilds for 10 insertions: ${result.addRebuilds}`);
+    if (!result.coinFixed) throw new Error('Sidebar coin should be a fixed circle');
+    if (result.added !== 10) throw new Error(`Expected 10 new bounds, got ${result.added}`);
+    if (result.addRebuilds !== 1) throw new Error(`Expected 1 batched rebuild, got ${result.addRebuilds}`);
+    if (!result.grown) throw new Error('Bounds did not follow a ResizeObserver change');
+    if (!result.circle) throw new Error('data-particle-disturbance-shape="circle" was not applied');
+    if (!result.removed) throw new Error('Removed elements are still avoided');
+  }, page);
+
+  // ── Test 16: Hover attractors ───────────────────────────────────────────
+  await runTest('Hover attractors switch on while a tile is hovered or focused', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const tileIndex = () => page.evaluate(() => {
+      const tile = document.querySelector('.exp-tile[data-particle-attract]');
+      tile.scrollIntoView({ block: 'center' });
+      return [...document.querySelectorAll('[data-particle-attract]')]
+        .filter(el => el.getBoundingClientRect().width)
+        .indexOf(tile);
+    });
+    const activeAt = (i) => page.evaluate((i) => window.FIELD.attractors[i]?.active, i);
+
+    const i = await tileIndex();
+    if (i === -1) throw new Error('No experiment tile is an attractor');
+    // Scrolling into view doesn't move document-space bounds, so no rebuild is needed
+    if (await activeAt(i) !== false) throw new Error('Hover attractor active before hover');
+
+    await page.hover('.exp-tile[data-particle-attract]');
+    const onHover = await activeAt(i);
+    await page.mouse.move(1, 1);
+    const afterLeave = await activeAt(i);
+    await page.focus('.exp-tile[data-particle-attract]');
+    const onFocus = await activeAt(i);
+    await page.evaluate(() => document.activeElement.blur());
+    const afterBlur = await activeAt(i);
+
+    console.log(`     hover: ${onHover}, leave: ${afterLeave}, focus: ${onFocus}, blur: ${afterBlur}`);
+    if (!onHover || afterLeave || !onFocus || afterBlur) {
+      throw new Error('Attractor did not follow hover / focus');
+    }
+  }, page);
+
+  // ── Test 17: Name letters ride the field tick ───────────────────────────
+  await runTest('Name letters react to the pointer without per-frame layout reads and rest when paused', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+    await page.evaluate(() => window.scrollTo(0, 0));
+
+    // Count layout reads on the letters from here on
+    await page.evaluate(() => {
+      window._letterReads = 0;
+      const original = Element.prototype.getBoundingClientRect;
+      Element.prototype.getBoundingClientRect = function () {
+        if (this.matches('h1 [data-letter]')) window._letterReads++;
+        return original.call(this);
+      };
+    });
+
+    const box = await page.evaluate(() => {
+      const r = document.querySelector('h1').getBoundingClientRect();
+      return { x: r.left, y: r.top + r.height / 2, width: r.width };
+    });
+    for (let i = 0; i <= 20; i++) {
+      await page.mouse.move(box.x + (box.width * i) / 20, box.y);
+    }
+    const moved = await page.evaluate(() =>
+      [...document.querySelectorAll('h1 [data-letter]')].some(el => el.style.transform));
+    const reads = await page.evaluate(() => window._letterReads);
+
+    await page.evaluate(() => window.FIELD.pause());
+    await page.mouse.move(box.x + box.width / 2, box.y + 5);
+    await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 300)));
+    const pausedTransforms = await page.evaluate(() =>
+      [...document.querySelectorAll('h1 [data-letter]')].filter(el => el.style.transform).length);
+    await page.evaluate(() => window.FIELD.play());
+
+    console.log(`     letters moved: ${moved}, letter layout reads: ${reads}, displaced while paused: ${pausedTransforms}`);
+    if (!moved) throw new Error('Sweeping the pointer across the name moved no letters');
+    if (reads > 0) throw new Error(`Letters were measured ${reads} time(s) during pointer movement`);
+    if (pausedTransforms > 0) throw new Error(`${pausedTransforms} letter(s) still displaced while paused`);
+  }, page);
+
+  // ── Test 18: Letter splitting keeps markup and semantics ────────────────
+  await runTest('data-letter-disturbance splits text in place and labels the heading', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const result = await page.evaluate(() => {
+      const heading = document.querySelector('[data-letter-disturbance]');
+      const text = heading.textContent.replace(/\s+/g, ' ').trim();
+      const letters = heading.querySelectorAll('[data-letter]');
+      return {
+        label: heading.getAttribute('aria-label'),
+        text,
+        letters: letters.length,
+        expected: text.replace(/\s/g, '').length,
+        primaryKept: heading.querySelector('.text-primary [data-letter]') !== null,
+        hidden: [...letters].every(el => el.closest('[aria-hidden="true"]'))
+      };
+    });
+
+    console.log(`     aria-label: "${result.label}", letters: ${result.letters}`);
+    if (result.label !== result.text) throw new Error(`aria-label "${result.label}" != text "${result.text}"`);
+    if (result.letters !== result.expected) throw new Error(`Expected ${result.expected} letters, got ${result.letters}`);
+    if (!result.primaryKept) throw new Error('The .text-primary child element was not preserved');
+    if (!result.hidden) throw new Error('Letter spans should be hidden behind the heading label');
+  }, page);
+
+  // ── Test 19: Section choreography ───────────────────────────────────────
+  await runTest('The field eases toward the most visible section and yields to the dials', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const target = (id) => page.evaluate((id) => {
+      const section = document.getElementById(id);
+      return Number(section.getAttribute('data-field-energy'));
+    }, id);
+    const visit = (id) => page.evaluate(async (id) => {
+      document.getElementById(id).scrollIntoView({ block: 'start' });
+      await new Promise(resolve => setTimeout(resolve, 1600)); // > SECTION_TRANSITION_MS
+      return { section: window.FIELD.section?.id ?? null, energy: window.FIELD.energy };
+    }, id);
+
+    const skills = await visit('skills');
+    const skillsEnergy = await target('skills');
+
+    // Taking the dials stops the sections from steering
+    await page.evaluate(() => {
+      const dial = document.getElementById('dial-energy');
+      dial.value = 90;
+      dial.dispatchEvent(new Event('input'));
+    });
+    const education = await visit('education');
+    await page.evaluate(() => { window.FIELD.choreography = true; });
+    await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 1600)));
+    const resumed = await page.evaluate(() => ({ section: window.FIELD.section?.id, energy: window.FIELD.energy }));
+    const educationEnergy = await target('education');
+    // The dial wrote a #field= hash; later reloads should start from the sections again
+    await page.evaluate(() => history.replaceState(null, '', location.pathname));
+
+    console.log(`     skills: ${skills.section} @ ${skills.energy.toFixed(2)}, after dial: ${education.energy.toFixed(2)}, resumed: ${resumed.section} @ ${resumed.energy.toFixed(2)}`);
+    if (skills.section !== 'skills') throw new Error(`Expected the skills section to lead, got ${skills.section}`);
+    if (Math.abs(skills.energy - skillsEnergy) > 0.01) throw new Error(`Energy ${skills.energy} did not reach ${skillsEnergy}`);
+    if (education.section !== null || Math.abs(education.energy - 0.9) > 0.01) {
+      throw new Error('Sections kept steering after the energy dial was moved');
+    }
+    if (resumed.section !== 'education' || Math.abs(resumed.energy - educationEnergy) > 0.01) {
+      throw new Error('Re-enabling choreography did not follow the visible section');
+    }
+  }, page);
+
+  // ── Test 20: Audio-reactive mode ────────────────────────────────────────
+  await runTest('FIELD.listen maps bass to energy and restores the field when stopped', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const result = await page.evaluate(async () => {
+      const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+      const before = window.FIELD.getState();
+
+      // An 80 Hz tone is all bass: energy should climb, clusters barely move
+      const ctx = new AudioContext();
+      const tone = ctx.createOscillator();
+      const out = ctx.createMediaStreamDestination();
+      tone.frequency.value = 80;
+      tone.connect(out);
+      tone.start();
+
+      await window.FIELD.listen(out.stream);
+      await wait(800);
+      const during = { ...window.FIELD.getState(), listening: window.FIELD.listening };
+
+      window.FIELD.stopListening();
+      const after = { ...window.FIELD.getState(), listening: window.FIELD.listening };
+      tone.stop();
+      await ctx.close();
+      return { before, during, after };
+    });
+
+    const { before, during, after } = result;
+    console.log(`     energy ${before.energy.toFixed(2)} → ${during.energy.toFixed(2)} → ${after.energy.toFixed(2)}, clusters while listening: ${during.clusters.toFixed(2)}`);
+    if (!during.listening || after.listening) throw new Error('FIELD.listening did not follow listen / stopListening');
+    if (!(during.energy > before.energy + 0.2)) throw new Error('A bass tone did not raise the energy');
+    if (during.clusters - before.clusters > during.energy - before.energy) {
+      throw new Error('A bass tone moved clusters more than energy');
+    }
+    if (after.energy !== before.energy || after.clusters !== before.clusters) {
+      throw new Error('stopListening() did not restore energy and clusters');
+    }
+  }, page);
+
+  // ── Test 21: Dropping audio on the field panel ──────────────────────────
+  await runTest('Dropping an audio file on the field panel starts listening', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const result = await page.evaluate(async () => {
+      const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+      const panel = document.getElementById('field-controls');
+
+      // One second of an 80 Hz tone as a 16-bit mono WAV
+      const rate = 8000;
+      const samples = rate;
+      const view = new DataView(new ArrayBuffer(44 + samples * 2));
+      const ascii = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+      ascii(0, 'RIFF'); view.setUint32(4, 36 + samples * 2, true); ascii(8, 'WAVE');
+      ascii(12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true); view.setUint16(22, 1, true);
+      view.setUint32(24, rate, true); view.setUint32(28, rate * 2, true); view.setUint16(32, 2, true); view.setUint16(34, 16, true);
+      ascii(36, 'data'); view.setUint32(40, samples * 2, true);
+      for (let i = 0; i < samples; i++) {
+        view.setInt16(44 + i * 2, Math.sin(2 * Math.PI * 80 * i / rate) * 0x6000, true);
+      }
+      const file = new File([view.buffer], 'tone.wav', { type: 'audio/wav' });
+
+      const transfer = new DataTransfer();
+      transfer.items.add(file);
+      const over = new DragEvent('dragover', { dataTransfer: transfer, bubbles: true, cancelable: true });
+      panel.dispatchEvent(over);
+      const accepted = over.defaultPrevented && panel.classList.contains('dropping');
+
+      panel.dispatchEvent(new DragEvent('drop', { dataTransfer: transfer, bubbles: true, cancelable: true }));
+      for (let i = 0; i < 40 && !window.FIELD.listening; i++) await wait(50);
+      await wait(100);
+      const during = {
+        listening: window.FIELD.listening,
+        label: document.getElementById('field-audio-label').textContent,
+        stopShown: !document.getElementById('field-audio-stop').hidden,
+        dropping: panel.classList.contains('dropping')
+      };
+
+      document.getElementById('field-audio-stop').click();
+      const after = {
+        listening: window.FIELD.listening,
+        stopShown: !document.getElementById('field-audio-stop').hidden
+      };
+      return { accepted, during, after };
+    });
+
+    const { accepted, during, after } = result;
+    console.log(`     listening: ${during.listening}, label: "${during.label}"`);
+    if (!accepted) throw new Error('The panel did not accept an audio drag');
+    if (during.dropping) throw new Error('The drop highlight stayed on after the drop');
+    if (!during.listening) throw new Error('Dropping an audio file did not start FIELD.listen');
+    if (during.label !== 'tone.wav' || !during.stopShown) throw new Error('The panel did not show the dropped track');
+    if (after.listening || after.stopShown) throw new Error('Stop did not end listening');
+  }, page);
+
+  // ── Test 22: Shared links are clamped ───────────────────────────────────
+  await runTest('An out-of-range #field= link is clamped to what the dials allow', async (page) => {
+    // A fresh document, so the hash is read at init rather than on hashchange
+    await page.goto('about:blank');
+    await page.goto(`${BASE_URL}#field=e500s30c140d99999999~k3x9a`, { waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const state = await page.evaluate(() => {
+      const result = window.FIELD.getState();
+      history.replaceState(null, '', location.pathname);
+      return result;
+    });
+
+    console.log(`     energy ${state.energy}, clusters ${state.clusters}, density ${state.density}`);
+    if (state.energy !== 1 || state.clusters !== 1) throw new Error('Percentages above 100 were not clamped');
+    if (state.density !== 300) throw new Error(`Density ${state.density} was not clamped to the dial maximum`);
+  }, page);
+
+  // ── Test 23: Pause and play within one frame ────────────────────────────
+  await runTest(`Pausing and playing in the same frame keeps one loop (ceiling ${MAX_DRAWS_PS}/s)`, async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    // The stopped loop's next frame is already queued when play() starts another
+    await page.evaluate(() => {
+      window.FIELD.pause();
+      window.FIELD.play();
+    });
+
+    const count = await countFrames(page, SAMPLE_MS);
+    const rate = count / (SAMPLE_MS / 1000);
+    console.log(`     Draw rate after pause + play: ${rate.toFixed(1)} draws/s`);
+    if (rate > MAX_DRAWS_PS) throw new Error(`Draw rate ${rate.toFixed(1)}/s — the old loop kept running`);
+  }, page);
+
+  // ── Test 24: Recording while playing ────────────────────────────────────
+  await runTest('FIELD.record() while playing keeps the field reported as playing', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const result = await page.evaluate(async () => {
+      const events = [];
+      window.FIELD.on('pause', () => events.push('pause'));
+      window.FIELD.on('play', () => events.push('play'));
+      const clip = window.FIELD.record({ seconds: 0.5, fps: 10, format: 'png' });
+      const playingDuring = window.FIELD.isPlaying();
+      await clip;
+      return { events, playingDuring, playingAfter: window.FIELD.isPlaying() };
+    });
+
+    if (result.events.length) throw new Error(`Recording emitted ${result.events.join(', ')}`);
+    if (!result.playingDuring || !result.playingAfter) throw new Error('FIELD.isPlaying() went false for a recording');
+    const count = await countFrames(page, 1000);
+    if (count === 0) throw new Error('The live loop did not come back after recording');
+  }, page);
+
+  // ── Test 25: The coin takes the field over from the sections ────────────
+  await runTest('Clicking the profile coin turns section choreography off', async (page) => {
+    await page.reload({ waitUntil: 'networkidle0' });
+    await page.waitForFunction(() => window.FIELD?.renderer !== null, { timeout: 5000 });
+
+    const before = await page.evaluate(() => window.FIELD.choreography);
+    await page.click('#profileCoin');
+    const after = await page.evaluate(() => window.FIELD.choreography);
+
+    if (!before) throw new Error('Choreography was already off before the click');
+    if (after) throw new Error('A coin-picked preset would be overwritten by the next section');
+  }, page);
+
   // ── Test N: getBoundingClientRect not called per animation frame ─────────
   // Regression guard for the forced-reflow fix in applyElementDisturbance().
   // After init the element bounds cache is built; getBoundingClientRect on
   // [data-particle-disturbance] elements must never be called during the RAF
-  // loop — only at cache-build time (init / resize).
+  // loop — only at cache-build time (init / layout changes).
   //
   // Spy is installed on each disturbance element's own getBoundingClientRect
-  // (not on Element.prototype) so calls from unrelated scripts — e.g.
-  // name-disturbance.js's per-frame letter animation — don't pollute the count.
+  // (not on Element.prototype) so calls from unrelated scripts don't pollute
+  // the count.
   await runTest('getBoundingClientRect not called per animation frame (reflow regression guard)', async (page) => {
     await page.reload({ waitUntil: 'networkidle0' });
     await page.waitForFunction(() => window.FIELD !== undefined, { timeout: 5000 });
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * Background Field Physics Simulation Tests
+ *
+ * Steps bg-field-physics.js headlessly under Node — no browser, no Hugo —
+ * with a seeded RNG, and asserts invariants that should hold on every frame:
+ *   1. Determinism — the same seed and inputs step to the same field.
+ *   2. Bounds — wrap-around keeps every free particle inside the canvas.
+ *   3. Finite state — no NaN/Infinity positions or velocities, even with a
+ *      pointer sitting exactly on a particle.
+ *   4. Element avoidance — no particle stays inside a [data-particle-disturbance]
+ *      box (rectangle, circle, or fixed to the viewport) for SETTLE_FRAMES
+ *      in a row.
+ *   5. Attractors — particles in reach gather just outside the outline (or
+ *      travel around it when orbiting); inactive attractors do nothing.
+ *
+ * Inputs (pointer sweeps, scroll impulses) are generated from the frame
+ * number, so every run replays the same scenario.
+ *
+ * RUN:
+ *   npm test   (or: node tests/simulation/bg-field-physics.test.js)
+ */
+
+import { createFieldPhysics } from '../../static/js/bg-field-physics.js';
+
+const WIDTH  = 1280;
+const HEIGHT = 900;
+const FRAMES = 1200;       // 20s of simulated time at 60fps
+const SETTLE_FRAMES = 300; // 5s inside a box counts as settled there
+const SEED = 0x5eed;
+
+// Mirrors the DISTURBANCE defaults in bg-field.js
+const DISTURBANCE = {
+  RADIUS: 100,
+  STRENGTH: 35,
+  BASE_FORCE_MULT: 0.10,
+  SPEED_MIN: 0.5,
+  SPEED_MAX: 1.5,
+  SPEED_MULT: 0.1,
+  CONNECTION_RESISTANCE: 0.05,
+  CONNECTION_MIN: 0.30
+};
+
+// Built-in forces as bg-field.js registers them (higher priority runs first)
+const BUILTIN_FORCES = [
+  { name: 'formation', priority: 40 },
+  { name: 'element',   priority: 30 },
+  { name: 'attract',   priority: 25 },
+  { name: 'mouse',     priority: 20 },
+  { name: 'scroll',    priority: 10 }
+];
+
+// Bounds as buildElementBoundsCache() posts them: a resume-item sized card
+// (padding 12, force 0.25), a hero block with the defaults, and a 160px
+// circle fixed to the viewport like the sidebar coin.
+const ELEMENT_BOUNDS = [
+  { left: 340 - 12, right: 940 + 12,  top: 1400 - 12, bottom: 1520 + 12, pushForce: 0.25, radius: 0 },
+  { left: 200 - 8,  right: 1080 + 8,  top: 1900 - 8,  bottom: 2100 + 8,  pushForce: 0.3,  radius: 0 },
+  { left: 40 - 8,   right: 200 + 8,   top: 40 - 8,    bottom: 200 + 8,   pushForce: 0.3,  radius: 88, fixed: true }
+];
+
+/**
+ * Whether (x, y) lies inside a bounds box with its corners rounded by
+ * `radius` — the region applyElementDisturbance() pushes particles out of.
+ */
+function insideBounds(b, x, y) {
+  if (!(x > b.left && x < b.right && y > b.top && y < b.bottom)) return false;
+  const r = b.radius;
+  const dx = x - Math.max(b.left + r, Math.min(x, b.right - r));
+  const dy = y - Math.max(b.top + r, Math.min(y, b.bottom - r));
+  return r === 0 || dx * dx + dy * dy < r * r;
+}
+
+/**
+ * Build a physics instance the way bg-field-sim.js does on "init".
+ */
+function createField({ seed = SEED, energy = 0.35, density = 160, bounds = [], attractors = [], scrollY = 0 } = {}) {
+  const physics = createFieldPhysics();
+  Object.assign(physics.field, { energy, spectrum: 0.3, clusters: 0.4, density });
+  Object.assign(physics.disturbance, DISTURBANCE);
+  physics.setBounds(bounds);
+  physics.setAttractors(attractors);
+  physics.setScroll(0, scrollY);
+  BUILTIN_FORCES.forEach(force => physics.setForce({ ...force, enabled: true, params: {} }));
+  physics.resize(WIDTH, HEIGHT);
+  physics.createPoints(seed);
+  return physics;
+}
+
+/**
+ * Feed frame-derived input: a pointer sweeping a Lissajous curve, plus
+ * (with `impulses`) a scroll impulse every 150 frames that decays like a
+ * released wheel.
+ */
+function driveInput(physics, frame, { scrollY = 0, impulses = true } = {}) {
+  const x = WIDTH  * (0.5 + 0.45 * Math.sin(frame * 0.021));
+  const y = HEIGHT * (0.5 + 0.45 * Math.sin(frame * 0.033));
+  const vx = WIDTH  * 0.45 * 0.021 * Math.cos(frame * 0.021);
+  const vy = HEIGHT * 0.45 * 0.033 * Math.cos(frame * 0.033);
+  physics.setPointers({ x, y }, [{ x, y, vx, vy, intensity: 1 }]);
+  physics.setScroll(0, scrollY, impulses && frame % 150 < 10 ? 40 : 0);
+}
+
+let passed = 0;
+let failed = 0;
+
+function runTest(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ❌ ${name}`);
+    console.error(`     ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('🧪 Starting field physics simulation tests...\n');
+
+// ─── Test 1: Determinism ───────────────────────────────────────────────────
+runTest('Same seed and input step to the same field', () => {
+  const a = createField();
+  const b = createField();
+  for (let frame = 0; frame < 300; frame++) {
+    driveInput(a, frame);
+    driveInput(b, frame);
+    a.step();
+    b.step();
+  }
+  const snapshot = (physics) => JSON.stringify(physics.points.map(p => [p.x, p.y, p.vx, p.vy]));
+  if (snapshot(a) !== snapshot(b)) {
+    throw new Error('Two fields with the same seed diverged within 300 frames');
+  }
+
+  const other = createField({ seed: SEED + 1 });
+  if (snapshot(other) === snapshot(createField())) {
+    throw new Error('A different seed produced the same initial points');
+  }
+});
+
+// ─── Test 2: Bounds ────────────────────────────────────────────────────────
+runTest(`Points stay inside the canvas for ${FRAMES} frames`, () => {
+  const physics = createField({ energy: 1, density: 300 });
+  for (let frame = 0; frame < FRAMES; frame++) {
+    driveInput(physics, frame);
+    physics.step();
+    const i = physics.points.findIndex(p => p.x < 0 || p.x > WIDTH || p.y < 0 || p.y > HEIGHT);
+    if (i !== -1) {
+      const p = physics.points[i];
+      throw new Error(`Point ${i} at (${p.x.toFixed(1)}, ${p.y.toFixed(1)}) left the canvas on frame ${frame}`);
+    }
+  }
+});
+
+// ─── Test 3: Finite state ──────────────────────────────────────────────────
+runTest('No NaN or infinite positions and velocities', () => {
+  const physics = createField({ energy: 1, bounds: ELEMENT_BOUNDS, scrollY: 1200 });
+  for (let frame = 0; frame < FRAMES; frame++) {
+    driveInput(physics, frame, { scrollY: 1200 });
+    if (frame % 100 === 0) {
+      // A stationary pointer exactly on a particle takes the zero-distance branch
+      const p = physics.points[frame % physics.points.length];
+      physics.setPointers({ x: p.x, y: p.y }, [{ x: p.x, y: p.y, vx: 0, vy: 0, intensity: 1 }]);
+    }
+    physics.step();
+    const i = physics.points.findIndex(p =>
+      !Number.isFinite(p.x) || !Number.isFinite(p.y) ||
+      !Number.isFinite(p.vx) || !Number.isFinite(p.vy));
+    if (i !== -1) {
+      const p = physics.points[i];
+      throw new Error(`Point ${i} went non-finite on frame ${frame}: ${JSON.stringify(p)}`);
+    }
+  }
+});
+
+// ─── Test 4: Element avoidance ─────────────────────────────────────────────
+runTest(`No particle stays inside a disturbance box for ${SETTLE_FRAMES} frames`, () => {
+  // Scrolled so every box is on screen; low energy is the slowest escape.
+  // The page holds still: scroll impulses without the boxes moving would
+  // drag particles back in, which can't happen in the browser.
+  const scrollY = 1250;
+  const physics = createField({ energy: 0, density: 400, bounds: ELEMENT_BOUNDS, scrollY });
+  const inside = new Int32Array(physics.points.length);
+  let longest = 0;
+
+  for (let frame = 0; frame < FRAMES; frame++) {
+    driveInput(physics, frame, { scrollY, impulses: false });
+    physics.step();
+    physics.points.forEach((p, i) => {
+      const boxed = ELEMENT_BOUNDS.some(b => insideBounds(b, p.x, b.fixed ? p.y : p.y + scrollY));
+      inside[i] = boxed ? inside[i] + 1 : 0;
+      longest = Math.max(longest, inside[i]);
+    });
+    if (longest >= SETTLE_FRAMES) {
+      throw new Error(`A particle stayed inside a box for ${SETTLE_FRAMES} frames (by frame ${frame})`);
+    }
+  }
+  console.log(`     longest stay inside a box: ${longest} frames`);
+});
+
+// ─── Test 5: Attractors ────────────────────────────────────────────────────
+runTest('Attractors gather particles outside the outline and orbit them', () => {
+  // A 200×100 tile in the middle of the canvas, reaching 160px beyond it
+  const tile = { left: 540, right: 740, top: 400, bottom: 500, radius: 0, reach: 160, strength: 1, fixed: false };
+  const gap = (p) => {
+    const dx = Math.max(tile.left - p.x, 0, p.x - tile.right);
+    const dy = Math.max(tile.top - p.y, 0, p.y - tile.bottom);
+    return Math.hypot(dx, dy);
+  };
+  const inReach = (p) => { const d = gap(p); return d > 0 && d < tile.reach; };
+
+  // No pointer or scroll, so the attractor is the only thing pulling
+  const run = (attractor, frames) => {
+    const physics = createField({ energy: 0, density: 300, attractors: [attractor] });
+    const tracked = physics.points.filter(inReach);
+    const start = tracked.map(p => ({ x: p.x, y: p.y, gap: gap(p) }));
+    for (let frame = 0; frame < frames; frame++) physics.step();
+    return { tracked, start };
+  };
+
+  const idle = run({ ...tile, active: false }, 120);
+  const idleMoved = idle.tracked.some((p, i) => Math.abs(gap(p) - idle.start[i].gap) > 20);
+  if (idleMoved) throw new Error('An inactive attractor moved particles toward it');
+
+  const pulled = run({ ...tile, active: true }, 240);
+  const meanGap = (list) => list.reduce((sum, g) => sum + g, 0) / list.length;
+  const before = meanGap(pulled.start.map(s => s.gap));
+  const after = meanGap(pulled.tracked.map(gap));
+  console.log(`     ${pulled.tracked.length} particles in reach, mean gap ${before.toFixed(0)}px → ${after.toFixed(0)}px`);
+  if (!(after < before * 0.5)) throw new Error(`Mean gap only fell from ${before.toFixed(0)} to ${after.toFixed(0)}px`);
+
+  const orbit = run({ ...tile, active: true, orbit: true }, 240);
+  const travelled = meanGap(orbit.tracked.map((p, i) => Math.hypot(p.x - orbit.start[i].x, p.y - orbit.start[i].y)));
+  const orbitGap = meanGap(orbit.tracked.map(gap));
+  console.log(`     orbiting: mean travel ${travelled.toFixed(0)}px, mean gap ${orbitGap.toFixed(0)}px`);
+  if (travelled < 100) throw new Error(`Orbiting particles only travelled ${travelled.toFixed(0)}px`);
+  if (orbitGap > tile.reach * 0.5) throw new Error(`Orbiting particles drifted off (mean gap ${orbitGap.toFixed(0)}px)`);
+});
+
+// ─── Results ─────────────────────────────────────────────────────────────
+console.log('');
+console.log(`  ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n🔴 Tests failed.\n');
+  process.exit(1);
+}
+
+console.log('\n🏁 All tests passed!\n');